@@ -0,0 +1,138 @@
+// lib/access.js
+// Access zones: request parsing and rule evaluation for gate checks.
+
+const CODE_RE = /^[A-Z0-9_-]{2,32}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function stringList(value, name) {
+  if (value === undefined || value === null) return { list: [] };
+  if (!Array.isArray(value)) return { error: `${name} must be an array of strings` };
+  return { list: [...new Set(value.map(v => String(v).trim()).filter(Boolean))] };
+}
+
+function parseSchedule(input, i) {
+  if (input === undefined || input === null) return { schedule: null };
+  if (typeof input !== "object") return { error: `rules[${i}].schedule must be an object` };
+  const days = input.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.days;
+  if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { error: `rules[${i}].schedule.days must list weekdays 0-6 (0 = Sunday)` };
+  }
+  const start = input.start || "00:00";
+  const end = input.end || "24:00";
+  if (!TIME_RE.test(start) || !TIME_RE.test(end)) return { error: `rules[${i}].schedule start/end must be HH:MM` };
+  return { schedule: { days: [...new Set(days)].sort(), start, end } };
+}
+
+function parseRules(rules) {
+  if (!Array.isArray(rules)) return { error: "rules must be an array" };
+  const out = [];
+  for (const [i, rule] of rules.entries()) {
+    if (!rule || typeof rule !== "object") return { error: `rules[${i}] must be an object` };
+    const effect = rule.effect || "allow";
+    if (!["allow", "deny"].includes(effect)) return { error: `rules[${i}].effect must be allow or deny` };
+    const parsed = { effect, note: String(rule.note || "").trim() };
+    for (const field of ["departments", "positions", "employees"]) {
+      const { list, error } = stringList(rule[field], `rules[${i}].${field}`);
+      if (error) return { error };
+      parsed[field] = list;
+    }
+    const { schedule, error } = parseSchedule(rule.schedule, i);
+    if (error) return { error };
+    parsed.schedule = schedule;
+    out.push(parsed);
+  }
+  return { rules: out };
+}
+
+export function publicZone(doc) {
+  return {
+    id: doc._id,
+    code: doc.code,
+    name: doc.name,
+    description: doc.description || "",
+    active: doc.active,
+    rules: doc.rules || [],
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+// Read code / name / description / active / rules from a request body. With
+// partial, missing keys are left out (updates); rules always replace the list.
+// Returns { values } or { error }.
+export function parseZoneInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!CODE_RE.test(code)) return { error: "code must be 2-32 letters, digits, _ or -" };
+    values.code = code;
+  }
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name is required" };
+    values.name = name;
+  }
+  if (body.description !== undefined) values.description = String(body.description || "").trim();
+  if (body.active !== undefined) values.active = body.active === true || body.active === "true";
+  if (body.rules !== undefined || !partial) {
+    const { rules, error } = parseRules(body.rules === undefined ? [] : body.rules);
+    if (error) return { error };
+    values.rules = rules;
+  }
+  return { values };
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of `date` in `timeZone`
+export function localClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .formatToParts(date)
+    .reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  const day = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday);
+  return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function inSchedule(schedule, clock) {
+  if (!schedule) return true;
+  const start = minutesOf(schedule.start);
+  const end = minutesOf(schedule.end);
+  if (start <= end) return schedule.days.includes(clock.day) && clock.minutes >= start && clock.minutes < end;
+  // overnight window: the part after midnight belongs to the previous day's entry
+  if (clock.minutes >= start) return schedule.days.includes(clock.day);
+  return clock.minutes < end && schedule.days.includes((clock.day + 6) % 7);
+}
+
+function ciIncludes(list, ...values) {
+  const wanted = values.filter(Boolean).map(v => String(v).toLowerCase());
+  return list.some(item => wanted.includes(item.toLowerCase()));
+}
+
+function selectorsMatch(rule, employee, deptCode) {
+  if (rule.departments.length > 0 && !ciIncludes(rule.departments, employee.dept, deptCode)) return false;
+  if (rule.positions.length > 0 && !ciIncludes(rule.positions, employee.position)) return false;
+  if (rule.employees.length > 0 && !rule.employees.includes(employee.employee_id)) return false;
+  return true;
+}
+
+// Decide whether `employee` may enter `zone` at `now`.
+// Returns { allowed, reason, rule_id }. reason is one of: allowed, zone_inactive,
+// denied_by_rule, outside_schedule (an allow rule matched the person but not the
+// time), no_matching_rule.
+export function evaluateAccess(zone, employee, { now = new Date(), timeZone = "UTC", deptCode = null } = {}) {
+  if (!zone.active) return { allowed: false, reason: "zone_inactive", rule_id: null };
+  const clock = localClock(now, timeZone);
+  const matching = (zone.rules || []).filter(rule => selectorsMatch(rule, employee, deptCode));
+
+  const deny = matching.find(rule => rule.effect === "deny" && inSchedule(rule.schedule, clock));
+  if (deny) return { allowed: false, reason: "denied_by_rule", rule_id: deny._id ?? null };
+
+  const allows = matching.filter(rule => rule.effect === "allow");
+  const allow = allows.find(rule => inSchedule(rule.schedule, clock));
+  if (allow) return { allowed: true, reason: "allowed", rule_id: allow._id ?? null };
+  if (allows.length > 0) return { allowed: false, reason: "outside_schedule", rule_id: allows[0]._id ?? null };
+  return { allowed: false, reason: "no_matching_rule", rule_id: null };
+}
@@ -0,0 +1,163 @@
+// lib/attendance.js
+// Badge scan parsing and attendance report queries (models/ScanEvent.js).
+import { stringify } from "csv-stringify/sync";
+import { cellValue } from "./export.js";
+import { isOfflinePayload } from "./offlineVerify.js";
+
+export const SCAN_DIRECTIONS = ["in", "out"];
+export const MAX_REPORT_DAYS = 92;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// What a reader sent -> { source, employee_id?, token?, text? } or null.
+//   barcode:  the raw employee_id (Code128 on the card)
+//   qr_url:   https://host/verify/<employee_id>?t=<token>
+//   qr_token: just the t= token
+//   offline:  an "IDB1:" Ed25519 payload (see lib/offlineVerify.js)
+export function parseScanPayload(text) {
+  const s = String(text || "").trim();
+  if (!s) return null;
+  if (isOfflinePayload(s)) return { source: "offline", text: s };
+  if (/^https?:\/\//i.test(s)) {
+    let url;
+    try {
+      url = new URL(s);
+    } catch {
+      return null;
+    }
+    const m = url.pathname.match(/\/verify\/([^/]+)\/?$/);
+    if (!m) return null;
+    let employeeId;
+    try {
+      employeeId = decodeURIComponent(m[1]);
+    } catch {
+      return null; // broken %-escape
+    }
+    return { source: "qr_url", employee_id: employeeId, token: url.searchParams.get("t") || null };
+  }
+  // employee IDs never contain "."; tokens are base64url "payload.signature"
+  if (/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(s)) return { source: "qr_token", token: s };
+  return { source: "barcode", employee_id: s };
+}
+
+// Calendar date (YYYY-MM-DD) of `date` in `timeZone`
+export function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ?date= or ?from=&to= (YYYY-MM-DD, local days). Defaults to today.
+// Returns { from, to } or { error }.
+export function parseReportRange(query = {}, timeZone) {
+  const today = localDate(new Date(), timeZone);
+  const from = String(query.from || query.date || today);
+  const to = String(query.to || query.date || from);
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (!DATE_RE.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (from > to) return { error: "from must not be after to" };
+  const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS + 1;
+  if (days > MAX_REPORT_DAYS) return { error: `Range is limited to ${MAX_REPORT_DAYS} days` };
+  return { from, to };
+}
+
+// Accepted scans whose local day falls in [from, to]. The UTC window is padded
+// by a day on each side (covers any offset) and then narrowed on the local day.
+function scanStages({ from, to, timeZone, match = {} }) {
+  return [
+    {
+      $match: {
+        ...match,
+        accepted: true,
+        scanned_at: { $gte: new Date(Date.parse(`${from}T00:00:00Z`) - DAY_MS), $lt: new Date(Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS) }
+      }
+    },
+    { $addFields: { day: { $dateToString: { format: "%Y-%m-%d", date: "$scanned_at", timezone: timeZone } } } },
+    { $match: { day: { $gte: from, $lte: to } } },
+    { $sort: { scanned_at: 1 } }
+  ];
+}
+
+// One row per employee per day: first check-in, last check-out, scan count
+export function firstLastPipeline({ from, to, timeZone, match }) {
+  const at = direction => ({ $cond: [{ $eq: ["$direction", direction] }, "$scanned_at", null] });
+  const local = field => ({ $dateToString: { format: "%H:%M", date: field, timezone: timeZone } });
+  return [
+    ...scanStages({ from, to, timeZone, match }),
+    {
+      $group: {
+        _id: { day: "$day", employee_id: "$employee_id" },
+        name: { $last: "$name" },
+        dept: { $last: "$dept" },
+        first_in: { $min: at("in") },
+        last_out: { $max: at("out") },
+        scans: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        date: "$_id.day",
+        employee_id: "$_id.employee_id",
+        name: 1,
+        dept: 1,
+        first_in: 1,
+        last_out: 1,
+        first_in_local: local("$first_in"),
+        last_out_local: local("$last_out"),
+        scans: 1
+      }
+    },
+    { $sort: { date: 1, dept: 1, employee_id: 1 } }
+  ];
+}
+
+// Employees present (at least one accepted scan) per day and department
+export function dailyPipeline({ from, to, timeZone, match }) {
+  return [
+    ...scanStages({ from, to, timeZone, match }),
+    { $group: { _id: { day: "$day", employee_id: "$employee_id" }, dept: { $last: "$dept" } } },
+    { $group: { _id: { day: "$_id.day", dept: "$dept" }, present: { $sum: 1 } } },
+    { $project: { _id: 0, date: "$_id.day", dept: "$_id.dept", present: 1 } },
+    { $sort: { date: 1, dept: 1 } }
+  ];
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+// First-in rows later than start + grace, with minutes_late
+export function lateArrivals(rows, { startTime, graceMinutes = 0 }) {
+  const limit = minutesOf(startTime) + graceMinutes;
+  return rows
+    .filter(r => r.first_in_local && minutesOf(r.first_in_local) > limit)
+    .map(r => ({ ...r, minutes_late: minutesOf(r.first_in_local) - minutesOf(startTime) }));
+}
+
+// [{ key, ...rows }] grouped by `field`
+export function groupBy(rows, field) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row[field] || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+export function toCsv(rows, columns) {
+  return stringify(rows.map(r => columns.map(c => cellValue(r[c]))), { header: true, columns });
+}
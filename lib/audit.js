@@ -0,0 +1,90 @@
+// lib/audit.js
+// Helpers for writing the append-only audit trail (models/AuditLog.js).
+import AuditLog from "../models/AuditLog.js";
+
+// Employee fields compared for field-level diffs
+export const AUDITED_FIELDS = [
+  "first_name",
+  "last_name",
+  "address",
+  "position",
+  "contact",
+  "dob",
+  "blood_group",
+  "email",
+  "dept",
+  "employee_type",
+  "other",
+  "photo_url",
+  "card_status",
+  "card_version",
+  "valid_from",
+  "valid_until",
+  "card_template"
+];
+
+function normalise(value) {
+  if (value === undefined || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// [{ field, before, after }] for every field whose value differs
+export function diffFields(before = {}, after = {}, fields = AUDITED_FIELDS) {
+  const changes = [];
+  for (const field of fields) {
+    const a = normalise(before ? before[field] : null);
+    const b = normalise(after ? after[field] : null);
+    if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ field, before: a, after: b });
+  }
+  return changes;
+}
+
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || (req.socket && req.socket.remoteAddress) || null;
+}
+
+function actorOf(req) {
+  if (req && req.auth) return { ...req.auth };
+  return { type: "system", id: null, name: "system", role: null };
+}
+
+// Append an entry. Failures are logged, not thrown: the change it describes
+// has already been committed and the caller's response should reflect that.
+export async function recordAudit(req, { action, entity_type = "employee", entity_id, changes = [], meta }) {
+  try {
+    await AuditLog.create({
+      action,
+      entity_type,
+      entity_id,
+      actor: actorOf(req),
+      ip: req ? clientIp(req) : null,
+      changes,
+      meta,
+      at: new Date()
+    });
+  } catch (err) {
+    console.error(`Audit write failed (${action} ${entity_id}):`, err);
+  }
+}
+
+// Filter for GET /api/audit (actor, action, employee_id, from, to)
+export function buildAuditFilter(query = {}, parseDate) {
+  const filter = {};
+  if (query.actor) filter["actor.name"] = String(query.actor).trim();
+  if (query.action) {
+    const actions = String(query.action).split(",").map(a => a.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (query.employee_id) filter.entity_id = String(query.employee_id).trim();
+  if (query.entity_type) filter.entity_type = String(query.entity_type).trim();
+  const from = parseDate(query.from);
+  const to = parseDate(query.to, true);
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lte = to;
+  }
+  return filter;
+}
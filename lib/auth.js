@@ -0,0 +1,161 @@
+// lib/auth.js
+// Authentication (JWT sessions for the admin UI, API keys for integrations)
+// and role-based permissions for the /api routes.
+import crypto from "crypto";
+import { promisify } from "util";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import ApiKey from "../models/ApiKey.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["admin", "hr_editor", "viewer", "scanner"];
+
+// What each role may do. Routes ask for a permission, never a role name,
+// so adding a role only means adding a line here.
+export const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  hr_editor: [
+    "employees:read",
+    "employees:write",
+    "cards:read",
+    "cards:manage",
+    "audit:read",
+    "attendance:read",
+    "visitors:read",
+    "visitors:write",
+    "visitors:checkin"
+  ],
+  viewer: ["employees:read", "cards:read", "visitors:read"],
+  scanner: ["scans:write", "visitors:checkin"] // badge reader devices / reception kiosks (API keys)
+};
+
+export function hasPermission(role, permission) {
+  const perms = ROLE_PERMISSIONS[role] || [];
+  return perms.includes("*") || perms.includes(permission);
+}
+
+// ---------- Passwords ----------
+
+const SCRYPT_KEYLEN = 64;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(String(password), Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ---------- API keys ----------
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// New plaintext key: "idk_" + 32 random bytes (base64url)
+export function generateApiKey() {
+  const key = `idk_${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 12), key_hash: hashApiKey(key) };
+}
+
+// ---------- Sessions ----------
+
+export function signSessionToken(user, { secret, expiresIn }) {
+  return jwt.sign({ sub: String(user._id), username: user.username, role: user.role }, secret, { expiresIn });
+}
+
+export function publicUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    role: user.role,
+    active: user.active,
+    last_login_at: user.last_login_at || null,
+    createdAt: user.createdAt
+  };
+}
+
+export function publicApiKey(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    prefix: doc.prefix,
+    role: doc.role,
+    active: doc.active,
+    last_used_at: doc.last_used_at || null,
+    createdAt: doc.createdAt
+  };
+}
+
+// ---------- Middleware ----------
+
+// Resolve the caller from "Authorization: Bearer <jwt>" or "X-API-Key: <key>"
+// and set req.auth = { type, id, name, role }. Responds 401 when neither is
+// present or valid. Paths in `publicPaths` (relative to the mount point) pass
+// through; an entry ending in "/" matches everything below it.
+export function authenticate({ secret, publicPaths = [] }) {
+  const isPublic = p => publicPaths.some(pp => (pp.endsWith("/") ? p.startsWith(pp) : p === pp));
+  return async (req, res, next) => {
+    if (isPublic(req.path)) return next();
+    try {
+      const apiKey = req.headers["x-api-key"];
+      if (apiKey) {
+        const doc = await ApiKey.findOne({ key_hash: hashApiKey(apiKey), active: true });
+        if (!doc) return res.status(401).json({ success: false, error: "Invalid API key" });
+        // best effort; don't block the request on it
+        ApiKey.updateOne({ _id: doc._id }, { $set: { last_used_at: new Date() } }).catch(() => {});
+        req.auth = { type: "api_key", id: String(doc._id), name: doc.name, role: doc.role };
+        return next();
+      }
+
+      const header = String(req.headers.authorization || "");
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (!match) return res.status(401).json({ success: false, error: "Authentication required" });
+
+      let claims;
+      try {
+        claims = jwt.verify(match[1], secret);
+      } catch {
+        return res.status(401).json({ success: false, error: "Invalid or expired token" });
+      }
+
+      // re-check the account so disabling a user or changing a role takes effect immediately
+      const user = await User.findById(claims.sub).lean();
+      if (!user || !user.active) return res.status(401).json({ success: false, error: "Account disabled" });
+      req.auth = { type: "user", id: String(user._id), name: user.username, role: user.role };
+      next();
+    } catch (err) {
+      console.error("authenticate error:", err);
+      res.status(500).json({ success: false, error: String(err) });
+    }
+  };
+}
+
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ success: false, error: "Authentication required" });
+    if (!hasPermission(req.auth.role, permission)) {
+      return res.status(403).json({ success: false, error: `Forbidden: ${permission} required` });
+    }
+    next();
+  };
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD on an empty users collection
+export async function ensureAdminUser({ username, password }) {
+  const count = await User.countDocuments();
+  if (count > 0) return;
+  if (!username || !password) {
+    console.warn("Warning: no users exist and ADMIN_USERNAME/ADMIN_PASSWORD are not set. Nobody can log in yet.");
+    return;
+  }
+  await User.create({ username, password_hash: await hashPassword(password), role: "admin" });
+  console.log(`👤 Created initial admin user "${username}"`);
+}
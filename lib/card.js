@@ -0,0 +1,328 @@
+// lib/card.js
+// Print-ready CR80 badge rendering. Both sides are laid out once as SVG and
+// rasterised at 300 DPI, so PNG and PDF output are pixel-identical.
+import sharp from "sharp";
+import PDFDocument from "pdfkit";
+import { cardFieldValue, resolveCardTemplate } from "./cardTemplates.js";
+import { BARCODE_SYMBOLOGIES } from "./codes.js";
+import { ExportAbortedError } from "./export.js";
+import { fetchRemote } from "./remoteFetch.js";
+
+// CR80 (ISO/IEC 7810 ID-1), portrait
+export const CARD_WIDTH_MM = 53.98;
+export const CARD_HEIGHT_MM = 85.6;
+export const CARD_DPI = 300;
+
+const MM_PER_INCH = 25.4;
+const PT_PER_INCH = 72;
+
+export const CARD_WIDTH_PX = Math.round((CARD_WIDTH_MM / MM_PER_INCH) * CARD_DPI);   // 638
+export const CARD_HEIGHT_PX = Math.round((CARD_HEIGHT_MM / MM_PER_INCH) * CARD_DPI); // 1011
+export const CARD_WIDTH_PT = (CARD_WIDTH_MM / MM_PER_INCH) * PT_PER_INCH;
+export const CARD_HEIGHT_PT = (CARD_HEIGHT_MM / MM_PER_INCH) * PT_PER_INCH;
+
+export const CARD_SIDES = ["front", "back"];
+
+// Per-style text metrics; lineHeight is the distance from the previous baseline
+const FIELD_STYLES = {
+  title: { size: 46, weight: "bold", family: "sans-serif", color: "primary", lineHeight: 70 },
+  text: { size: 32, weight: "normal", family: "sans-serif", color: "text", lineHeight: 55 },
+  muted: { size: 30, weight: "normal", family: "sans-serif", color: "muted", lineHeight: 47 },
+  mono: { size: 28, weight: "normal", family: "monospace", color: "muted", lineHeight: 40 },
+  alert: { size: 34, weight: "bold", family: "sans-serif", color: "#B00020", lineHeight: 70 }
+};
+
+// Photo box per layout (text_only has none)
+const PHOTO_BOXES = {
+  classic: { width: 380, height: 460 },
+  compact: { width: 300, height: 360 }
+};
+
+// Barcode box on the back: linear codes are stretched to the box, 2D codes keep their shape
+const BARCODE_BOXES = {
+  linear: { width: 540, height: 130, fit: "fill" },
+  pdf417: { width: 540, height: 150, fit: "contain" },
+  datamatrix: { width: 160, height: 160, fit: "contain" }
+};
+
+function escapeXml(unsafe) {
+  if (unsafe == null) return "";
+  return String(unsafe)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function truncate(text, max) {
+  const s = String(text || "").trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function pngHref(buffer) {
+  return `data:image/png;base64,${buffer.toString("base64")}`;
+}
+
+// Fetch a remote image (photo / logo) from a public host, at most maxBytes.
+// Returns null instead of throwing so a missing asset never blocks printing.
+export async function fetchImage(url, { timeoutMs = 8000, maxBytes = 10 * 1024 * 1024 } = {}) {
+  if (!url) return null;
+  try {
+    return await fetchRemote(url, { timeoutMs, maxBytes });
+  } catch (err) {
+    console.warn("Card image fetch failed:", url, err.message || err);
+    return null;
+  }
+}
+
+// librsvg only understands PNG/JPEG, so every embedded raster is normalised
+// to PNG (webp photos, odd colour spaces, ...) and fitted to its box here.
+async function toPng(buffer, width, height, fit = "cover", kernel = "lanczos3") {
+  if (!buffer) return null;
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(width, height, { fit, kernel, background: { r: 255, g: 255, b: 255, alpha: 0 } })
+      .png()
+      .toBuffer();
+  } catch (err) {
+    console.warn("Card image decode failed:", err.message || err);
+    return null;
+  }
+}
+
+// Template text lines, top to bottom from `top`, stopping above `bottom`
+function fieldLines(fields, { employee, companyCode, colors, top, bottom }) {
+  let y = top;
+  const lines = [];
+  for (const f of fields) {
+    const style = FIELD_STYLES[f.style] || FIELD_STYLES.text;
+    y = f.y || y + style.lineHeight;
+    if (y > bottom) break;
+    const value = cardFieldValue(employee, f.field, { companyCode });
+    if (!value && !f.label) continue;
+    const text = f.label ? `${f.label}: ${value || "-"}` : value;
+    const fill = colors[style.color] || style.color;
+    lines.push(`<text x="${CARD_WIDTH_PX / 2}" y="${y}" text-anchor="middle" font-family="${style.family}" font-size="${style.size}" font-weight="${style.weight}" fill="${fill}">${escapeXml(truncate(text, style.size >= 40 ? 24 : 32))}</text>`);
+  }
+  return lines.join("\n  ");
+}
+
+async function frontSvg({ employee, companyCode, photo, template }) {
+  const { colors } = template;
+  const W = CARD_WIDTH_PX;
+  const H = CARD_HEIGHT_PX;
+  const box = PHOTO_BOXES[template.layout] || null;
+  const photoY = 170;
+  let photoSvg = "";
+  if (box) {
+    const photoX = (W - box.width) / 2;
+    const photoPng = await toPng(photo, box.width, box.height);
+    photoSvg = `<rect x="${photoX - 8}" y="${photoY - 8}" width="${box.width + 16}" height="${box.height + 16}" rx="24" fill="${colors.accent}"/>
+  ${photoPng
+    ? `<image x="${photoX}" y="${photoY}" width="${box.width}" height="${box.height}" preserveAspectRatio="xMidYMid slice" href="${pngHref(photoPng)}"/>`
+    : `<rect x="${photoX}" y="${photoY}" width="${box.width}" height="${box.height}" fill="#EEEEEE"/>
+  <text x="${W / 2}" y="${photoY + box.height / 2 + 12}" text-anchor="middle" font-family="sans-serif" font-size="32" fill="${colors.muted}">NO PHOTO</text>`}`;
+  }
+  const top = box ? photoY + box.height + 30 : photoY;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+  <rect width="${W}" height="${H}" fill="${colors.background}"/>
+  <rect width="${W}" height="130" fill="${colors.primary}"/>
+  <text x="${W / 2}" y="86" text-anchor="middle" font-family="sans-serif" font-size="56" font-weight="bold" letter-spacing="6" fill="#FFFFFF">${escapeXml(template.header_text || companyCode)}</text>
+  ${photoSvg}
+  ${fieldLines(template.front_fields, { employee, companyCode, colors, top, bottom: H - 150 })}
+  <rect y="${H - 130}" width="${W}" height="130" fill="${colors.primary}"/>
+  <text x="${W / 2}" y="${H - 52}" text-anchor="middle" font-family="monospace" font-size="36" letter-spacing="2" fill="${colors.accent}">${escapeXml(employee.employee_id)}</text>
+</svg>`;
+}
+
+// QR and barcode are stacked under the logo; either may be missing (template qr / barcode "none")
+async function backSvg({ employee, companyCode, logo, qr, barcode, template }) {
+  const { colors } = template;
+  const W = CARD_WIDTH_PX;
+  const H = CARD_HEIGHT_PX;
+  const logoH = 110;
+  const qrSize = 400;
+  const symbol = BARCODE_SYMBOLOGIES[template.barcode];
+  const box = BARCODE_BOXES[symbol && symbol.kind === "2d" ? template.barcode : "linear"];
+  const [logoPng, qrPng, barcodePng] = await Promise.all([
+    toPng(logo, 420, logoH, "inside"),
+    // nearest-neighbour keeps module edges crisp for scanners
+    toPng(qr, qrSize, qrSize, "contain", "nearest"),
+    toPng(barcode, box.width, box.height, box.fit, "nearest")
+  ]);
+
+  let y = 200;
+  const codes = [];
+  if (qrPng) {
+    codes.push(`<image x="${(W - qrSize) / 2}" y="${y}" width="${qrSize}" height="${qrSize}" href="${pngHref(qrPng)}"/>`);
+    y += qrSize + 40;
+  }
+  if (barcodePng) {
+    const aspect = box.fit === "fill" ? "none" : "xMidYMid meet";
+    codes.push(`<image x="${(W - box.width) / 2}" y="${y}" width="${box.width}" height="${box.height}" preserveAspectRatio="${aspect}" href="${pngHref(barcodePng)}"/>`);
+    y += box.height;
+  }
+  const returnText = template.return_text ? template.return_text.replace(/\{COMPANY\}/g, companyCode) : "";
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+  <rect width="${W}" height="${H}" fill="${colors.background}"/>
+  <rect width="${W}" height="16" fill="${colors.primary}"/>
+  ${logoPng
+    ? `<image x="${(W - 420) / 2}" y="50" width="420" height="${logoH}" preserveAspectRatio="xMidYMid meet" href="${pngHref(logoPng)}"/>`
+    : `<text x="${W / 2}" y="130" text-anchor="middle" font-family="sans-serif" font-size="56" font-weight="bold" letter-spacing="6" fill="${colors.primary}">${escapeXml(companyCode)}</text>`}
+  ${codes.join("\n  ")}
+  ${fieldLines(template.back_fields, { employee, companyCode, colors, top: y, bottom: H - 90 })}
+  ${returnText ? `<text x="${W / 2}" y="950" text-anchor="middle" font-family="sans-serif" font-size="22" fill="${colors.muted}">${escapeXml(truncate(returnText, 48))}</text>` : ""}
+  <rect y="${H - 16}" width="${W}" height="16" fill="${colors.primary}"/>
+</svg>`;
+}
+
+// data: { employee, companyCode, photo, logo, qr, barcode, template, deptColor } — images as
+// Buffers (or null); template is a resolved template (lib/cardTemplates.js), default built-in
+export async function renderCardSvg(side, data) {
+  const template = data.template || resolveCardTemplate(null, { deptColor: data.deptColor });
+  if (side === "back") return backSvg({ ...data, template });
+  return frontSvg({ ...data, template });
+}
+
+export async function renderCardPng(side, data) {
+  const svg = await renderCardSvg(side, data);
+  return sharp(Buffer.from(svg), { density: 72 })
+    .resize(CARD_WIDTH_PX, CARD_HEIGHT_PX)
+    .withMetadata({ density: CARD_DPI })
+    .png()
+    .toBuffer();
+}
+
+// Collect a pdfkit document into a single Buffer
+export function pdfToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+// One CR80-sized page per side (front first)
+export async function renderCardPdf(data, { sides = CARD_SIDES } = {}) {
+  const doc = new PDFDocument({
+    size: [CARD_WIDTH_PT, CARD_HEIGHT_PT],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `${data.employee.employee_id} ID card`, Producer: data.companyCode }
+  });
+
+  for (const side of sides) {
+    const png = await renderCardPng(side, data);
+    doc.addPage({ size: [CARD_WIDTH_PT, CARD_HEIGHT_PT], margin: 0 });
+    doc.image(png, 0, 0, { width: CARD_WIDTH_PT, height: CARD_HEIGHT_PT });
+  }
+
+  return pdfToBuffer(doc);
+}
+
+// ---------- Multi-card print sheets ----------
+
+export const SHEET_PAPERS = {
+  a4: { size: "A4", width: 595.28, height: 841.89 },
+  letter: { size: "LETTER", width: 612, height: 792 }
+};
+
+const mmToPt = mm => (mm / MM_PER_INCH) * PT_PER_INCH;
+const SHEET_MARGIN_PT = mmToPt(10);
+const SHEET_GAP_PT = mmToPt(8); // room between cards for crop marks
+const CROP_OFFSET_PT = mmToPt(1);
+const CROP_LENGTH_PT = mmToPt(3);
+
+// Grid geometry for a paper size: how many cards fit and where the grid starts
+// (centred, so a long-edge duplex flip lands backs exactly behind fronts).
+export function sheetLayout(paper = "a4") {
+  const p = SHEET_PAPERS[paper] || SHEET_PAPERS.a4;
+  const cols = Math.max(1, Math.floor((p.width - 2 * SHEET_MARGIN_PT + SHEET_GAP_PT) / (CARD_WIDTH_PT + SHEET_GAP_PT)));
+  const rows = Math.max(1, Math.floor((p.height - 2 * SHEET_MARGIN_PT + SHEET_GAP_PT) / (CARD_HEIGHT_PT + SHEET_GAP_PT)));
+  const gridW = cols * CARD_WIDTH_PT + (cols - 1) * SHEET_GAP_PT;
+  const gridH = rows * CARD_HEIGHT_PT + (rows - 1) * SHEET_GAP_PT;
+  return {
+    paper: p,
+    cols,
+    rows,
+    perPage: cols * rows,
+    originX: (p.width - gridW) / 2,
+    originY: (p.height - gridH) / 2
+  };
+}
+
+function cellPosition(layout, row, col) {
+  return {
+    x: layout.originX + col * (CARD_WIDTH_PT + SHEET_GAP_PT),
+    y: layout.originY + row * (CARD_HEIGHT_PT + SHEET_GAP_PT)
+  };
+}
+
+function drawCropMarks(doc, x, y) {
+  const o = CROP_OFFSET_PT;
+  const l = CROP_LENGTH_PT;
+  const r = x + CARD_WIDTH_PT;
+  const b = y + CARD_HEIGHT_PT;
+  doc.save().lineWidth(0.25).strokeColor("#000000");
+  for (const [cx, cy, dx, dy] of [[x, y, -1, -1], [r, y, 1, -1], [x, b, -1, 1], [r, b, 1, 1]]) {
+    doc.moveTo(cx + dx * o, cy).lineTo(cx + dx * (o + l), cy).stroke();
+    doc.moveTo(cx, cy + dy * o).lineTo(cx, cy + dy * (o + l)).stroke();
+  }
+  doc.restore();
+}
+
+// Stream a tiled sheet PDF to `out`. Cards are rendered one page at a time via
+// loadCard(item) -> { front, back } PNG buffers, so large intakes never sit in
+// memory at once. With duplex, each front page is followed by a back page whose
+// columns are mirrored for long-edge flipping.
+export async function writeCardSheetPdf(out, items, loadCard, { paper = "a4", duplex = false, cropMarks = true, title = "ID cards" } = {}) {
+  const layout = sheetLayout(paper);
+  const doc = new PDFDocument({ size: layout.paper.size, margin: 0, autoFirstPage: false, info: { Title: title } });
+  // a client that goes away closes `out` without "finish"; stop rendering then
+  let aborted = false;
+  const done = new Promise((resolve, reject) => {
+    out.on("finish", resolve);
+    out.on("close", () => {
+      if (out.writableFinished) return;
+      aborted = true;
+      reject(new ExportAbortedError());
+    });
+    out.on("error", reject);
+    doc.on("error", reject);
+  });
+  done.catch(() => {}); // handled by the caller once the loop stops
+  doc.pipe(out);
+
+  for (let start = 0; start < items.length && !aborted; start += layout.perPage) {
+    const pageItems = items.slice(start, start + layout.perPage);
+    const cards = [];
+    for (const item of pageItems) cards.push(await loadCard(item));
+
+    doc.addPage({ size: layout.paper.size, margin: 0 });
+    cards.forEach((card, i) => {
+      const { x, y } = cellPosition(layout, Math.floor(i / layout.cols), i % layout.cols);
+      doc.image(card.front, x, y, { width: CARD_WIDTH_PT, height: CARD_HEIGHT_PT });
+      if (cropMarks) drawCropMarks(doc, x, y);
+    });
+
+    if (duplex) {
+      doc.addPage({ size: layout.paper.size, margin: 0 });
+      cards.forEach((card, i) => {
+        const row = Math.floor(i / layout.cols);
+        const col = layout.cols - 1 - (i % layout.cols);
+        const { x, y } = cellPosition(layout, row, col);
+        doc.image(card.back, x, y, { width: CARD_WIDTH_PT, height: CARD_HEIGHT_PT });
+        if (cropMarks) drawCropMarks(doc, x, y);
+      });
+    }
+  }
+
+  if (!aborted) doc.end();
+  return done;
+}
@@ -0,0 +1,282 @@
+// lib/cardTemplates.js
+// Card templates (models/CardTemplate.js): request parsing, assignment and the
+// built-in default. Rendering lives in lib/card.js (printed cards) and the
+// /verify/:employee_id page in server.js; both take a resolved template.
+
+import { BARCODE_SYMBOLOGIES } from "./codes.js";
+import { isInternalHost } from "./remoteFetch.js";
+
+const CODE_RE = /^[A-Z0-9_-]{2,32}$/;
+const COLOR_RE = /^#[0-9A-Fa-f]{6}$/;
+
+// classic: large photo; compact: smaller photo, room for more lines; text_only: no photo
+export const CARD_LAYOUTS = ["classic", "compact", "text_only"];
+export const CARD_FIELD_STYLES = ["title", "text", "muted", "mono", "alert"];
+export const CARD_TEMPLATE_FIELDS = [
+  "name",
+  "first_name",
+  "last_name",
+  "position",
+  "dept",
+  "employee_type",
+  "employee_id",
+  "blood_group",
+  "email",
+  "contact",
+  "valid_until",
+  "company"
+];
+export const CARD_COLOR_KEYS = ["primary", "accent", "background", "text", "muted"];
+// "default" = the request's qr_mode / QR_MODE
+export const TEMPLATE_QR_MODES = ["default", "url", "offline", "none"];
+export const TEMPLATE_BARCODES = [...Object.keys(BARCODE_SYMBOLOGIES), "none"];
+export const MAX_TEMPLATE_FIELDS = 8;
+
+// The look badges had before templates; also fills anything a template leaves unset
+export const DEFAULT_CARD_TEMPLATE = {
+  code: "BUILTIN",
+  name: "Built-in",
+  layout: "classic",
+  colors: {
+    primary: "#123458",
+    accent: "#4ED7F1",
+    background: "#FFFFFF",
+    text: "#030303",
+    muted: "#555555"
+  },
+  logo_url: "",
+  header_text: "",
+  front_fields: [
+    { field: "name", label: "", style: "title", y: null },
+    { field: "position", label: "", style: "text", y: null },
+    { field: "dept", label: "", style: "muted", y: null }
+  ],
+  back_fields: [
+    { field: "employee_id", label: "", style: "mono", y: null },
+    { field: "blood_group", label: "Blood Group", style: "alert", y: null }
+  ],
+  return_text: "If found, please return to {COMPANY}",
+  qr: "default",
+  barcode: "code128"
+};
+
+// Stand-in employee for previews without employee_id (the server adds an ID)
+export const SAMPLE_EMPLOYEE = {
+  first_name: "Alex",
+  last_name: "Sample",
+  position: "Senior Engineer",
+  dept: "Engineering",
+  employee_type: "employee",
+  blood_group: "O+",
+  email: "alex.sample@example.com",
+  contact: "+1 555 0100",
+  address: "1 Sample Street\nExample City",
+  card_status: "active",
+  card_version: 1
+};
+
+export function publicTemplate(doc) {
+  return {
+    id: doc._id,
+    code: doc.code,
+    name: doc.name,
+    description: doc.description || "",
+    active: doc.active,
+    is_default: doc.is_default,
+    departments: doc.departments || [],
+    employee_types: doc.employee_types || [],
+    layout: doc.layout,
+    colors: doc.colors || {},
+    logo_url: doc.logo_url || "",
+    header_text: doc.header_text || "",
+    front_fields: doc.front_fields || null,
+    back_fields: doc.back_fields || null,
+    return_text: doc.return_text ?? null,
+    qr: doc.qr,
+    barcode: doc.barcode,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function stringList(value, name, normalise = v => v) {
+  if (value === undefined || value === null) return { list: [] };
+  if (!Array.isArray(value)) return { error: `${name} must be an array of strings` };
+  return { list: [...new Set(value.map(v => normalise(String(v).trim())).filter(Boolean))] };
+}
+
+// null keeps the default field list; an array replaces it
+function parseFields(value, name) {
+  if (value === null) return { fields: null };
+  if (!Array.isArray(value)) return { error: `${name} must be an array` };
+  if (value.length > MAX_TEMPLATE_FIELDS) return { error: `${name} may list at most ${MAX_TEMPLATE_FIELDS} fields` };
+  const fields = [];
+  for (const [i, item] of value.entries()) {
+    const entry = typeof item === "string" ? { field: item } : item;
+    if (!entry || typeof entry !== "object") return { error: `${name}[${i}] must be an object` };
+    if (!CARD_TEMPLATE_FIELDS.includes(entry.field)) {
+      return { error: `${name}[${i}].field must be one of ${CARD_TEMPLATE_FIELDS.join(", ")}` };
+    }
+    const style = entry.style || "text";
+    if (!CARD_FIELD_STYLES.includes(style)) return { error: `${name}[${i}].style must be one of ${CARD_FIELD_STYLES.join(", ")}` };
+    let y = null;
+    if (entry.y !== undefined && entry.y !== null && entry.y !== "") {
+      y = Number(entry.y);
+      if (!Number.isInteger(y) || y < 40 || y > 1000) return { error: `${name}[${i}].y must be a whole number between 40 and 1000` };
+    }
+    fields.push({ field: entry.field, label: String(entry.label || "").trim(), style, y });
+  }
+  return { fields };
+}
+
+// Read a template from a request body. With partial, missing keys are left out
+// (updates). Returns { values } or { error }.
+export function parseTemplateInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!CODE_RE.test(code)) return { error: "code must be 2-32 letters, digits, - or _" };
+    if (code === DEFAULT_CARD_TEMPLATE.code) return { error: `${code} is reserved for the built-in template` };
+    values.code = code;
+  }
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name is required" };
+    values.name = name;
+  }
+  if (body.description !== undefined) values.description = String(body.description || "").trim();
+  if (body.active !== undefined) values.active = body.active === true || body.active === "true";
+  if (body.is_default !== undefined) values.is_default = body.is_default === true || body.is_default === "true";
+
+  if (body.departments !== undefined) {
+    const { list, error } = stringList(body.departments, "departments", v => v.toUpperCase());
+    if (error) return { error };
+    values.departments = list;
+  }
+  if (body.employee_types !== undefined) {
+    const { list, error } = stringList(body.employee_types, "employee_types", v => v.toLowerCase());
+    if (error) return { error };
+    values.employee_types = list;
+  }
+
+  if (body.layout !== undefined) {
+    if (!CARD_LAYOUTS.includes(body.layout)) return { error: `layout must be one of ${CARD_LAYOUTS.join(", ")}` };
+    values.layout = body.layout;
+  }
+  if (body.colors !== undefined) {
+    if (!body.colors || typeof body.colors !== "object" || Array.isArray(body.colors)) return { error: "colors must be an object" };
+    const unknown = Object.keys(body.colors).filter(k => !CARD_COLOR_KEYS.includes(k));
+    if (unknown.length > 0) return { error: `Unknown colors: ${unknown.join(", ")}` };
+    values.colors = {};
+    for (const key of CARD_COLOR_KEYS) {
+      const color = body.colors[key];
+      if (color === undefined || color === null || color === "") {
+        values.colors[key] = null;
+      } else if (!COLOR_RE.test(String(color))) {
+        return { error: `colors.${key} must be a hex colour like #1A2B3C` };
+      } else {
+        values.colors[key] = String(color).toUpperCase();
+      }
+    }
+  }
+  if (body.logo_url !== undefined) {
+    const url = String(body.logo_url || "").trim();
+    if (url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+      if (!parsed || !["http:", "https:"].includes(parsed.protocol)) return { error: "logo_url must be an http(s) URL" };
+      if (isInternalHost(parsed.hostname)) return { error: "logo_url must not point to a private or local address" };
+    }
+    values.logo_url = url;
+  }
+  if (body.header_text !== undefined) values.header_text = String(body.header_text || "").trim().slice(0, 12); // fits the banner at 56px
+  for (const key of ["front_fields", "back_fields"]) {
+    if (body[key] === undefined) continue;
+    const { fields, error } = parseFields(body[key], key);
+    if (error) return { error };
+    values[key] = fields;
+  }
+  if (body.return_text !== undefined) {
+    values.return_text = body.return_text === null ? null : String(body.return_text).trim().slice(0, 60);
+  }
+  if (body.qr !== undefined) {
+    if (!TEMPLATE_QR_MODES.includes(body.qr)) return { error: `qr must be one of ${TEMPLATE_QR_MODES.join(", ")}` };
+    values.qr = body.qr;
+  }
+  if (body.barcode !== undefined) {
+    if (!TEMPLATE_BARCODES.includes(body.barcode)) return { error: `barcode must be one of ${TEMPLATE_BARCODES.join(", ")}` };
+    values.barcode = body.barcode;
+  }
+  return { values };
+}
+
+// Template (document, plain object or null) with every unset value filled from
+// the built-in default. deptColor replaces the default accent colour.
+export function resolveCardTemplate(doc, { deptColor = null } = {}) {
+  const base = DEFAULT_CARD_TEMPLATE;
+  const t = doc || {};
+  const colors = {};
+  for (const key of CARD_COLOR_KEYS) colors[key] = (t.colors && t.colors[key]) || base.colors[key];
+  if (!(t.colors && t.colors.accent) && deptColor) colors.accent = deptColor;
+  return {
+    code: t.code || base.code,
+    name: t.name || base.name,
+    layout: CARD_LAYOUTS.includes(t.layout) ? t.layout : base.layout,
+    colors,
+    logo_url: t.logo_url || base.logo_url,
+    header_text: t.header_text || base.header_text,
+    front_fields: Array.isArray(t.front_fields) ? t.front_fields : base.front_fields,
+    back_fields: Array.isArray(t.back_fields) ? t.back_fields : base.back_fields,
+    return_text: t.return_text ?? base.return_text,
+    qr: TEMPLATE_QR_MODES.includes(t.qr) ? t.qr : base.qr,
+    barcode: TEMPLATE_BARCODES.includes(t.barcode) ? t.barcode : base.barcode
+  };
+}
+
+// Which active template applies to an employee: their own card_template, else
+// the most specific department / employee type match (type beats department,
+// both beats either), else the default template. Ties go to the lowest code.
+// Returns the template document or null (built-in default).
+export function pickCardTemplate(templates, employee, { deptCode = null } = {}) {
+  const active = templates.filter(t => t.active !== false);
+  if (employee.card_template) {
+    const own = active.find(t => t.code === employee.card_template);
+    if (own) return own;
+  }
+  const type = employee.employee_type || "employee";
+  let best = null;
+  let bestScore = 0;
+  for (const t of [...active].sort((a, b) => a.code.localeCompare(b.code))) {
+    const depts = t.departments || [];
+    const types = t.employee_types || [];
+    if (depts.length === 0 && types.length === 0) continue;
+    if (depts.length > 0 && !(deptCode && depts.includes(deptCode))) continue;
+    if (types.length > 0 && !types.includes(type)) continue;
+    const score = (types.length > 0 ? 2 : 0) + (depts.length > 0 ? 1 : 0);
+    if (score > bestScore) {
+      best = t;
+      bestScore = score;
+    }
+  }
+  return best || active.find(t => t.is_default) || null;
+}
+
+// Printable text for one template field
+export function cardFieldValue(employee, field, { companyCode = "" } = {}) {
+  switch (field) {
+    case "name":
+      return `${employee.first_name || ""} ${employee.last_name || ""}`.trim();
+    case "employee_type":
+      return (employee.employee_type || "employee").toUpperCase();
+    case "valid_until":
+      return employee.valid_until ? new Date(employee.valid_until).toISOString().slice(0, 10) : "";
+    case "company":
+      return companyCode;
+    default:
+      return employee[field] == null ? "" : String(employee[field]);
+  }
+}
@@ -0,0 +1,172 @@
+// lib/codes.js
+// Barcode / QR rendering options, rendering (PNG or SVG) and a small in-memory
+// cache of rendered images for the /qr and /barcode download routes.
+import crypto from "crypto";
+import QRCode from "qrcode";
+import bwipjs from "bwip-js";
+
+// symbology -> bwip-js encoder; "2d" symbols are square-ish and keep their aspect ratio
+export const BARCODE_SYMBOLOGIES = {
+  code128: { bcid: "code128", kind: "linear" },
+  code39: { bcid: "code39", kind: "linear" },
+  pdf417: { bcid: "pdf417", kind: "2d" },
+  datamatrix: { bcid: "datamatrix", kind: "2d" }
+};
+export const CODE_FORMATS = ["png", "svg"];
+export const QR_ERROR_LEVELS = ["L", "M", "Q", "H"];
+
+export const DEFAULT_BARCODE_OPTIONS = {
+  symbology: "code128",
+  format: "png",
+  scale: 3,
+  height: 12, // bar height in mm (linear symbologies only)
+  margin: 0, // quiet zone in points, scaled with the bars (1 point = 1 code128 module)
+  text: false, // human-readable text under the symbol
+  text_size: 10,
+  color: "000000",
+  background: "FFFFFF"
+};
+
+export const DEFAULT_QR_OPTIONS = {
+  format: "png",
+  ec: "M",
+  size: null, // width in px; null = 4 px per module
+  margin: 4, // quiet zone in modules
+  color: "000000",
+  background: "FFFFFF"
+};
+
+const HEX_RE = /^#?([0-9A-Fa-f]{6})$/;
+
+function intOption(query, name, min, max, fallback) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return { value: fallback };
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: `${name} must be a whole number from ${min} to ${max}` };
+  return { value: n };
+}
+
+function colorOption(query, name, fallback) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return { value: fallback };
+  const m = String(raw).match(HEX_RE);
+  if (!m) return { error: `${name} must be a hex colour like 1A2B3C` };
+  return { value: m[1].toUpperCase() };
+}
+
+function formatOption(query) {
+  const format = String(query.format || "png").toLowerCase();
+  if (!CODE_FORMATS.includes(format)) return { error: `format must be one of ${CODE_FORMATS.join(", ")}` };
+  return { value: format };
+}
+
+// Collect { value } / { error } results into { options } or the first { error }
+function collect(results) {
+  const options = {};
+  for (const [name, result] of Object.entries(results)) {
+    if (result.error) return { error: result.error };
+    options[name] = result.value;
+  }
+  return { options };
+}
+
+// ?symbology=&format=&scale=&height=&margin=&text=&text_size=&color=&background=
+export function parseBarcodeOptions(query = {}) {
+  const d = DEFAULT_BARCODE_OPTIONS;
+  const symbology = String(query.symbology || d.symbology).toLowerCase();
+  if (!BARCODE_SYMBOLOGIES[symbology]) {
+    return { error: `symbology must be one of ${Object.keys(BARCODE_SYMBOLOGIES).join(", ")}` };
+  }
+  const text = query.text === undefined || query.text === "" ? d.text : String(query.text).toLowerCase();
+  if (![true, false, "true", "false"].includes(text)) return { error: "text must be true or false" };
+  return collect({
+    symbology: { value: symbology },
+    format: formatOption(query),
+    scale: intOption(query, "scale", 1, 10, d.scale),
+    height: intOption(query, "height", 5, 50, d.height),
+    margin: intOption(query, "margin", 0, 20, d.margin),
+    text: { value: text === true || text === "true" },
+    text_size: intOption(query, "text_size", 6, 24, d.text_size),
+    color: colorOption(query, "color", d.color),
+    background: colorOption(query, "background", d.background)
+  });
+}
+
+// ?format=&ec=&size=&margin=&color=&background=
+export function parseQrOptions(query = {}) {
+  const d = DEFAULT_QR_OPTIONS;
+  const ec = String(query.ec || d.ec).toUpperCase();
+  if (!QR_ERROR_LEVELS.includes(ec)) return { error: `ec must be one of ${QR_ERROR_LEVELS.join(", ")}` };
+  return collect({
+    format: formatOption(query),
+    ec: { value: ec },
+    size: intOption(query, "size", 64, 2048, d.size),
+    margin: intOption(query, "margin", 0, 16, d.margin),
+    color: colorOption(query, "color", d.color),
+    background: colorOption(query, "background", d.background)
+  });
+}
+
+// -> { body (Buffer | string), contentType, ext }
+export async function renderBarcode(text, options = DEFAULT_BARCODE_OPTIONS) {
+  const o = { ...DEFAULT_BARCODE_OPTIONS, ...options };
+  const symbol = BARCODE_SYMBOLOGIES[o.symbology];
+  const bwip = {
+    bcid: symbol.bcid,
+    text,
+    scale: o.scale,
+    includetext: o.text,
+    textxalign: "center",
+    textsize: o.text_size,
+    barcolor: o.color,
+    backgroundcolor: o.background,
+    padding: o.margin
+  };
+  if (symbol.kind === "linear") bwip.height = o.height;
+  if (o.format === "svg") return { body: bwipjs.toSVG(bwip), contentType: "image/svg+xml", ext: "svg" };
+  return { body: await bwipjs.toBuffer(bwip), contentType: "image/png", ext: "png" };
+}
+
+export async function renderQr(text, options = DEFAULT_QR_OPTIONS) {
+  const o = { ...DEFAULT_QR_OPTIONS, ...options };
+  const qr = {
+    errorCorrectionLevel: o.ec,
+    margin: o.margin,
+    color: { dark: `#${o.color}FF`, light: `#${o.background}FF` }
+  };
+  if (o.size) qr.width = o.size;
+  if (o.format === "svg") return { body: await QRCode.toString(text, { ...qr, type: "svg" }), contentType: "image/svg+xml", ext: "svg" };
+  return { body: await QRCode.toBuffer(text, { ...qr, type: "png" }), contentType: "image/png", ext: "png" };
+}
+
+// Cache key: what is encoded (hashed, so a reissued card or rotated key gets a
+// new entry) plus the normalised options
+export function codeCacheKey(kind, employeeId, content, options) {
+  const digest = crypto.createHash("sha256").update(String(content)).digest("base64url").slice(0, 22);
+  const opts = Object.keys(options).sort().map(k => `${k}=${options[k]}`).join("&");
+  return `${kind}:${employeeId}:${digest}:${opts}`;
+}
+
+// Least-recently-used cache with a time limit; Map keeps insertion order, so
+// the first key is always the oldest
+export function createCodeCache({ maxEntries = 500, ttlMs = 60 * 60 * 1000 } = {}) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      entries.delete(key);
+      if (Date.now() - hit.at > ttlMs) return null;
+      entries.set(key, hit);
+      return hit.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, at: Date.now() });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
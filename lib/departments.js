@@ -0,0 +1,77 @@
+// lib/departments.js
+// Department registry helpers: request body parsing and resolving the free-text
+// `dept` values employees are created with.
+import mongoose from "mongoose";
+import Department from "../models/Department.js";
+import { parseVisibilityOverrides } from "./visibility.js";
+
+const CODE_RE = /^[A-Z0-9]{2,6}$/;
+const COLOR_RE = /^#[0-9A-Fa-f]{6}$/;
+
+export function publicDepartment(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    code: doc.code,
+    color: doc.color,
+    head: doc.head || "",
+    active: doc.active,
+    verify_fields: doc.verify_fields || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+// Read name / code / color / head / active / verify_fields from a request body. With partial,
+// missing keys are left out (for updates). Returns { values } or { error }.
+export function parseDepartmentInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "name is required" };
+    values.name = name;
+  }
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!CODE_RE.test(code)) return { error: "code must be 2-6 letters or digits" };
+    values.code = code;
+  }
+  if (body.color !== undefined && body.color !== "") {
+    if (!COLOR_RE.test(String(body.color))) return { error: "color must be a hex colour like #1A2B3C" };
+    values.color = String(body.color).toUpperCase();
+  }
+  if (body.head !== undefined) values.head = String(body.head || "").trim();
+  if (body.active !== undefined) values.active = body.active === true || body.active === "true";
+  if (body.verify_fields !== undefined) {
+    const visibility = parseVisibilityOverrides(body.verify_fields);
+    if (visibility.error) return { error: visibility.error };
+    values.verify_fields = visibility.value;
+  }
+  return { values };
+}
+
+// Find a department by id, code or name (case-insensitive)
+export async function findDepartment(value) {
+  const str = String(value || "").trim();
+  if (!str) return null;
+  const or = [{ code: str.toUpperCase() }, { name_key: str.toLowerCase() }];
+  if (mongoose.isValidObjectId(str)) or.push({ _id: str });
+  return Department.findOne({ $or: or }).lean();
+}
+
+// Resolve an employee's `dept` input against the registry.
+// Returns { dept, department } (dept = canonical name) or { error }.
+// Until the first department is created any free text is accepted, so
+// existing installs keep working while the registry is being set up.
+export async function resolveEmployeeDept(value) {
+  const str = String(value || "").trim();
+  if (!str) return { dept: "", department: null };
+  const department = await findDepartment(str);
+  if (!department) {
+    const any = await Department.exists({});
+    if (!any) return { dept: str, department: null };
+    return { error: `Unknown department "${str}"` };
+  }
+  if (!department.active) return { error: `Department "${department.name}" is inactive` };
+  return { dept: department.name, department };
+}
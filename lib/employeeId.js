@@ -0,0 +1,204 @@
+// lib/employeeId.js
+// Employee ID templates, check characters and atomic serial counters.
+//
+// A template is literal text plus tokens:
+//   {COMPANY}   company code           {YYYY} / {YY}  year of issue
+//   {DEPT}      department code        {SERIAL:n}     serial, zero-padded to n digits (default 6)
+//   {CHECK}     one check character computed over the rest of the ID
+// e.g. the default "{COMPANY}-{YY}-{DEPT}-{SERIAL:6}-{CHECK}" -> ART-26-ENG-000042-7
+import Counter from "../models/Counter.js";
+
+export const DEFAULT_ID_TEMPLATE = "{COMPANY}-{YY}-{DEPT}-{SERIAL:6}-{CHECK}";
+
+// "iso7064": ISO 7064 MOD 37,36 (catches every single-character error and adjacent swap)
+// "luhn36":  Luhn mod N over 0-9A-Z
+// "legacy":  digit sum of char codes mod 9, used by IDs issued before templates
+export const ID_CHECK_ALGORITHMS = ["iso7064", "luhn36", "legacy"];
+
+const ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const TOKEN_RE = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ["COMPANY", "YYYY", "YY", "DEPT", "SERIAL", "CHECK"];
+
+function alnum(s) {
+  return String(s).toUpperCase().replace(/[^0-9A-Z]/g, "");
+}
+
+function iso7064Mod3736(input) {
+  const m = ALPHABET.length;
+  let p = m;
+  for (const ch of alnum(input)) {
+    p = (p + ALPHABET.indexOf(ch)) % m;
+    if (p === 0) p = m;
+    p = (p * 2) % (m + 1);
+  }
+  return ALPHABET[(m + 1 - p) % m];
+}
+
+function luhnMod36(input) {
+  const n = ALPHABET.length;
+  const chars = alnum(input);
+  let factor = 2;
+  let sum = 0;
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const addend = factor * ALPHABET.indexOf(chars[i]);
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function legacyChecksum(input) {
+  // the old checksumDigit: over the raw text before the check, without the trailing separator
+  const digits = String(input).replace(/[^0-9A-Z]+$/i, "").split("").map(ch => String(ch.charCodeAt(0))).join("");
+  let sum = 0;
+  for (const d of digits) sum += Number(d || 0);
+  return String(sum % 9);
+}
+
+// Check character for `input` (the ID text in front of the {CHECK} token, plus anything after it)
+export function checkCharacter(input, alg = "iso7064") {
+  if (alg === "luhn36") return luhnMod36(input);
+  if (alg === "legacy") return legacyChecksum(input);
+  return iso7064Mod3736(input);
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Parse a template once. Throws on unknown tokens or a missing {SERIAL}.
+export function compileIdTemplate(template = DEFAULT_ID_TEMPLATE) {
+  const parts = [];
+  let last = 0;
+  for (const m of template.matchAll(TOKEN_RE)) {
+    if (m.index > last) parts.push({ literal: template.slice(last, m.index) });
+    const token = m[1];
+    if (!KNOWN_TOKENS.includes(token)) throw new Error(`Unknown ID template token {${token}}`);
+    const part = { token };
+    if (token === "SERIAL") part.width = m[2] ? parseInt(m[2], 10) : 6;
+    parts.push(part);
+    last = m.index + m[0].length;
+  }
+  if (last < template.length) parts.push({ literal: template.slice(last) });
+
+  const count = t => parts.filter(p => p.token === t).length;
+  if (count("SERIAL") !== 1) throw new Error("ID template must contain exactly one {SERIAL} token");
+  if (count("CHECK") > 1) throw new Error("ID template may contain at most one {CHECK} token");
+
+  const patterns = {
+    COMPANY: "[A-Z0-9]+",
+    YYYY: "\\d{4}",
+    YY: "\\d{2}",
+    DEPT: "[A-Z0-9]+",
+    CHECK: "[0-9A-Z]"
+  };
+  const source = parts
+    .map(p => {
+      if (p.literal !== undefined) return escapeRegExp(p.literal);
+      if (p.token === "SERIAL") return `(?<SERIAL>\\d{${p.width},})`;
+      // repeated tokens (e.g. {YY} twice) must match the same text
+      const seen = parts.indexOf(p) !== parts.findIndex(q => q.token === p.token);
+      return seen ? `\\k<${p.token}>` : `(?<${p.token}>${patterns[p.token]})`;
+    })
+    .join("");
+
+  return { template, parts, regex: new RegExp(`^${source}$`), hasCheck: count("CHECK") === 1 };
+}
+
+function renderParts(compiled, values, { serial, check }) {
+  return compiled.parts
+    .map(p => {
+      if (p.literal !== undefined) return p.literal;
+      if (p.token === "SERIAL") return serial;
+      if (p.token === "CHECK") return check;
+      return values[p.token];
+    })
+    .join("");
+}
+
+function tokenValues({ company, dept, date = new Date() }) {
+  const yyyy = String(date.getFullYear());
+  return { COMPANY: company, YYYY: yyyy, YY: yyyy.slice(-2), DEPT: dept };
+}
+
+// Counter key for the serial scope: the ID with serial and check left out, so
+// e.g. the default template counts per company + year + department.
+export function sequenceKey(compiled, { company, dept, date }) {
+  return `employee_id:${renderParts(compiled, tokenValues({ company, dept, date }), { serial: "#", check: "" })}`;
+}
+
+// Counter key for an existing ID, from the parts validateEmployeeId returned
+export function sequenceKeyForParts(compiled, parts) {
+  const values = { COMPANY: parts.company, YYYY: parts.yyyy, YY: parts.yy, DEPT: parts.dept };
+  return `employee_id:${renderParts(compiled, values, { serial: "#", check: "" })}`;
+}
+
+// Regex matching IDs of the same sequence (any serial / check), to seed a new counter
+export function sequencePattern(compiled, { company, dept, date }) {
+  const values = tokenValues({ company, dept, date });
+  const source = compiled.parts
+    .map(p => {
+      if (p.literal !== undefined) return escapeRegExp(p.literal);
+      if (p.token === "SERIAL") return "(\\d+)";
+      if (p.token === "CHECK") return "[0-9A-Z]";
+      return escapeRegExp(values[p.token]);
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+export function formatEmployeeId(compiled, { company, dept, date, serial, alg }) {
+  const values = tokenValues({ company, dept, date });
+  const serialStr = String(serial).padStart(compiled.parts.find(p => p.token === "SERIAL").width, "0");
+  const withoutCheck = renderParts(compiled, values, { serial: serialStr, check: "" });
+  const check = compiled.hasCheck ? checkCharacter(withoutCheck, alg) : "";
+  return renderParts(compiled, values, { serial: serialStr, check });
+}
+
+// Is `id` well-formed for the template and is its check character right?
+// Returns { valid, reason?, parts?, check_algorithm? }. acceptLegacy also accepts
+// the pre-template checksum so badges issued before the switch keep validating.
+export function validateEmployeeId(compiled, id, { alg = "iso7064", company, acceptLegacy = false } = {}) {
+  const value = String(id || "").trim().toUpperCase();
+  const m = value.match(compiled.regex);
+  if (!m) return { valid: false, reason: "malformed" };
+
+  const parts = {};
+  for (const [k, v] of Object.entries(m.groups || {})) parts[k.toLowerCase()] = v;
+  if (company && parts.company !== undefined && parts.company !== company) {
+    return { valid: false, reason: "foreign_company", parts };
+  }
+  if (!compiled.hasCheck) return { valid: true, parts, check_algorithm: null };
+
+  // the check token matches exactly one character; rebuild the ID without it
+  const withoutCheck = renderParts(compiled, { COMPANY: parts.company, YYYY: parts.yyyy, YY: parts.yy, DEPT: parts.dept }, { serial: parts.serial, check: "" });
+  const algorithms = acceptLegacy && alg !== "legacy" ? [alg, "legacy"] : [alg];
+  const matched = algorithms.find(a => checkCharacter(withoutCheck, a) === parts.check);
+  if (!matched) return { valid: false, reason: "bad_check_character", parts };
+  return { valid: true, parts, check_algorithm: matched };
+}
+
+// Next value of an atomic counter. `seed` is called once, when the counter does
+// not exist yet, and returns the highest serial already in use (so existing IDs
+// are never reissued).
+export async function nextSequence(key, seed = async () => 0) {
+  const doc = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true }).lean();
+  if (doc) return doc.seq;
+
+  const start = await seed();
+  try {
+    await Counter.updateOne({ _id: key }, { $max: { seq: start } }, { upsert: true });
+  } catch (err) {
+    // another instance created it at the same moment; $inc below still serialises us
+    if (err.code !== 11000) throw err;
+  }
+  const created = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true }).lean();
+  return created.seq;
+}
+
+// Make sure an existing counter never hands out `serial` again (used when IDs
+// are inserted from outside the counter, e.g. the legacy SQLite import). A
+// missing counter is left alone: it is seeded from the data on first use.
+export async function advanceSequence(key, serial) {
+  await Counter.updateOne({ _id: key }, { $max: { seq: serial } });
+}
@@ -0,0 +1,89 @@
+// lib/employeeQuery.js
+// Sorting and cursor (keyset) pagination for the employee list. A cursor holds
+// the sort value and _id of the last row of a page; the next page continues
+// strictly after it, so pages stay fast and stable however deep they go.
+import mongoose from "mongoose";
+
+// field -> value type (dates are revived from the cursor's JSON)
+export const EMPLOYEE_SORT_FIELDS = {
+  created_at: "date",
+  updated_at: "date",
+  employee_id: "string",
+  first_name: "string",
+  last_name: "string",
+  dept: "string",
+  position: "string"
+};
+
+// Case-insensitive ordering for text sorts (applies to the cursor comparison too;
+// models/Employee.js builds the matching indexes)
+export const LIST_COLLATION = { locale: "en", strength: 2 };
+
+// ?sort=field | -field and ?order=asc|desc. "relevance" needs a ?search= text query.
+// Returns { field, dir } (dir 1 | -1) or { error }.
+export function parseSort(query = {}, { hasTextSearch = false } = {}) {
+  let field = String(query.sort || "").trim();
+  let dir = null;
+  if (field.startsWith("-")) {
+    field = field.slice(1);
+    dir = -1;
+  }
+  if (!field) field = hasTextSearch ? "relevance" : "created_at";
+  if (field === "relevance") {
+    if (!hasTextSearch) return { error: "sort=relevance requires a search term" };
+    return { field, dir: -1 };
+  }
+  if (!EMPLOYEE_SORT_FIELDS[field]) {
+    return { error: `sort must be one of ${[...Object.keys(EMPLOYEE_SORT_FIELDS), "relevance"].join(", ")}` };
+  }
+  if (query.order !== undefined && query.order !== "") {
+    const order = String(query.order).toLowerCase();
+    if (!["asc", "desc"].includes(order)) return { error: "order must be asc or desc" };
+    dir = order === "asc" ? 1 : -1;
+  }
+  // dates default to newest first, text to A-Z
+  if (dir === null) dir = EMPLOYEE_SORT_FIELDS[field] === "date" ? -1 : 1;
+  return { field, dir };
+}
+
+export function sortSpec({ field, dir }) {
+  if (field === "relevance") return { score: { $meta: "textScore" }, _id: 1 };
+  return { [field]: dir, _id: dir };
+}
+
+export function encodeCursor(row, { field, dir }) {
+  const value = row[field] === undefined ? null : row[field];
+  return Buffer.from(JSON.stringify({ f: field, d: dir, v: value, id: String(row._id) })).toString("base64url");
+}
+
+// Returns { cursor } ({ value, id }) or { error }. The cursor must come from the same sort.
+export function decodeCursor(token, { field, dir }) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+  } catch {
+    return { error: "cursor is not valid" };
+  }
+  if (!data || !mongoose.isValidObjectId(data.id)) return { error: "cursor is not valid" };
+  if (data.f !== field || data.d !== dir) return { error: "cursor belongs to a different sort; start again without it" };
+  let value = data.v;
+  if (value !== null && EMPLOYEE_SORT_FIELDS[field] === "date") {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) return { error: "cursor is not valid" };
+  }
+  return { cursor: { value, id: new mongoose.Types.ObjectId(data.id) } };
+}
+
+// Filter clause for rows after the cursor. MongoDB sorts null / missing values
+// first ascending and last descending, and range operators never match null,
+// so nulls need their own branches.
+export function cursorClause({ field, dir }, { value, id }) {
+  const after = dir === 1 ? "$gt" : "$lt";
+  if (value === null) {
+    const sameNull = { [field]: null, _id: { [after]: id } };
+    return dir === 1 ? { $or: [sameNull, { [field]: { $ne: null } }] } : sameNull;
+  }
+  const branches = [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }];
+  if (dir === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
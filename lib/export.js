@@ -0,0 +1,137 @@
+// lib/export.js
+// Streaming employee export (CSV / XLSX / JSON). Rows are pulled from a Mongo
+// cursor one at a time and written with backpressure, so the full result set
+// is never held in memory. If the client goes away mid-download the export
+// stops with ExportAbortedError so the caller can close its cursor.
+import { stringify } from "csv-stringify/sync";
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", ext: "xlsx" },
+  json: { contentType: "application/json; charset=utf-8", ext: "json" }
+};
+
+// Column order of a default (all fields) export
+export const EXPORT_FIELDS = [
+  "employee_id",
+  "first_name",
+  "last_name",
+  "position",
+  "dept",
+  "employee_type",
+  "contact",
+  "email",
+  "address",
+  "dob",
+  "blood_group",
+  "other",
+  "photo_url",
+  "created_at",
+  "verify_url"
+];
+
+// "a,b,c" -> validated field list (unknown names are reported, not ignored)
+export function parseExportFields(param) {
+  if (!param) return { fields: EXPORT_FIELDS, unknown: [] };
+  const requested = String(param).split(",").map(f => f.trim()).filter(Boolean);
+  const unknown = requested.filter(f => !EXPORT_FIELDS.includes(f));
+  const fields = [...new Set(requested.filter(f => EXPORT_FIELDS.includes(f)))];
+  return { fields, unknown };
+}
+
+export class ExportAbortedError extends Error {
+  constructor() {
+    super("Export aborted: the client closed the connection");
+    this.name = "ExportAbortedError";
+  }
+}
+
+function checkOpen(out) {
+  if (out.destroyed) throw new ExportAbortedError();
+}
+
+// Resolves on "drain"; an HTTP response that is closed or fails instead never
+// drains, so "close" and "error" settle the wait too.
+function drained(out) {
+  return new Promise((resolve, reject) => {
+    const settle = err => {
+      out.off("drain", onDrain);
+      out.off("close", onClose);
+      out.off("error", settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new ExportAbortedError());
+    out.on("drain", onDrain);
+    out.on("close", onClose);
+    out.on("error", settle);
+  });
+}
+
+async function write(out, chunk) {
+  checkOpen(out);
+  if (!out.write(chunk)) await drained(out);
+}
+
+// Spreadsheet apps run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// CSV / XLSX cell. Employee-entered text that looks like a formula gets a
+// leading ' so Excel shows it as text instead of evaluating it. Also used for
+// the attendance CSVs (lib/attendance.js).
+export function cellValue(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string" && FORMULA_START.test(value)) return `'${value}`;
+  return value;
+}
+
+// Stream every doc from `cursor` to `out` in `format`. toRow(doc) must return
+// a plain object containing (at least) `fields`.
+export async function streamExport({ cursor, format, fields, out, toRow, sheetName = "Employees" }) {
+  let count = 0;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = fields.map(f => ({ header: f, key: f, width: Math.max(12, f.length + 2) }));
+    for await (const doc of cursor) {
+      const row = toRow(doc);
+      checkOpen(out);
+      sheet.addRow(fields.map(f => cellValue(row[f]))).commit();
+      count++;
+      // the workbook pipes into `out` on its own; wait here when the client falls behind
+      if (out.writableNeedDrain) await drained(out);
+    }
+    checkOpen(out);
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === "json") {
+    await write(out, "[");
+    for await (const doc of cursor) {
+      const row = toRow(doc);
+      const picked = {};
+      for (const f of fields) picked[f] = row[f] ?? null;
+      await write(out, `${count === 0 ? "" : ","}\n${JSON.stringify(picked)}`);
+      count++;
+    }
+    await write(out, count === 0 ? "]\n" : "\n]\n");
+    out.end();
+    return count;
+  }
+
+  // csv (BOM so Excel opens UTF-8 names correctly)
+  await write(out, "﻿" + stringify([fields]));
+  for await (const doc of cursor) {
+    const row = toRow(doc);
+    await write(out, stringify([fields.map(f => cellValue(row[f]))]));
+    count++;
+  }
+  out.end();
+  return count;
+}
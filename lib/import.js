@@ -0,0 +1,204 @@
+// lib/import.js
+// Spreadsheet parsing for bulk employee import (CSV / XLSX + optional photo ZIP).
+import path from "path";
+import { parse as parseCsv } from "csv-parse/sync";
+import ExcelJS from "exceljs";
+import AdmZip from "adm-zip";
+
+// Employee fields an import row may set (employee_id is always generated)
+export const IMPORT_FIELDS = [
+  "first_name",
+  "last_name",
+  "address",
+  "position",
+  "contact",
+  "dob",
+  "blood_group",
+  "email",
+  "dept",
+  "employee_type",
+  "other",
+  "photo_url",
+  "photo_file"
+];
+
+// Common header spellings -> field. Headers are normalised (lowercase,
+// non-alphanumerics collapsed to "_") before lookup.
+const HEADER_ALIASES = {
+  firstname: "first_name",
+  first: "first_name",
+  given_name: "first_name",
+  lastname: "last_name",
+  last: "last_name",
+  surname: "last_name",
+  family_name: "last_name",
+  designation: "position",
+  title: "position",
+  job_title: "position",
+  department: "dept",
+  type: "employee_type",
+  phone: "contact",
+  mobile: "contact",
+  phone_number: "contact",
+  contact_number: "contact",
+  e_mail: "email",
+  email_address: "email",
+  date_of_birth: "dob",
+  birth_date: "dob",
+  blood: "blood_group",
+  bloodgroup: "blood_group",
+  notes: "other",
+  photo: "photo_url",
+  photourl: "photo_url",
+  image_url: "photo_url",
+  photo_filename: "photo_file",
+  photo_file_name: "photo_file",
+  photo_path: "photo_file"
+};
+
+export const MAX_IMPORT_ROWS = 5000;
+// Photo ZIP limits, checked against the declared sizes before anything is
+// decompressed (adm-zip caps inflation at the declared size)
+export const MAX_ZIP_ENTRIES = 10000;
+export const MAX_ZIP_PHOTO_BYTES = 6 * 1024 * 1024; // same as a single photo upload
+export const MAX_ZIP_TOTAL_BYTES = 200 * 1024 * 1024;
+
+export function normaliseHeader(header) {
+  return String(header || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Build header -> field mapping. An explicit mapping ({ "Sheet Header": "field" })
+// wins; everything else falls back to the field name itself or a known alias.
+export function resolveColumnMapping(headers, explicit = {}) {
+  const explicitNormalised = {};
+  for (const [header, field] of Object.entries(explicit || {})) {
+    explicitNormalised[normaliseHeader(header)] = field;
+  }
+
+  const mapping = {};
+  const unmapped = [];
+  for (const header of headers) {
+    const key = normaliseHeader(header);
+    const field = explicitNormalised[key] || (IMPORT_FIELDS.includes(key) ? key : HEADER_ALIASES[key]);
+    if (field && IMPORT_FIELDS.includes(field)) mapping[header] = field;
+    else unmapped.push(header);
+  }
+  return { mapping, unmapped };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Flatten an exceljs cell value (rich text, hyperlinks, formulas, dates) to a string
+function cellToString(value) {
+  if (value == null) return "";
+  if (value instanceof Date) {
+    return `${value.getUTCFullYear()}-${pad2(value.getUTCMonth() + 1)}-${pad2(value.getUTCDate())}`;
+  }
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join("");
+    if (value.text != null) return cellToString(value.text);
+    if (value.result != null) return cellToString(value.result);
+    if (value.hyperlink) return String(value.hyperlink);
+    return "";
+  }
+  return String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], records: [] };
+
+  let headers = [];
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const values = [];
+    for (let c = 1; c <= row.cellCount; c++) values.push(cellToString(row.getCell(c).value).trim());
+    if (headers.length === 0) {
+      headers = values;
+      return;
+    }
+    const record = {};
+    headers.forEach((h, i) => {
+      if (h) record[h] = values[i] || "";
+    });
+    records.push({ row: rowNumber, record });
+  });
+  return { headers: headers.filter(Boolean), records };
+}
+
+function parseCsvBuffer(buffer) {
+  const rows = parseCsv(buffer, {
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0];
+  const records = rows.slice(1).map((values, i) => {
+    const record = {};
+    headers.forEach((h, j) => {
+      if (h) record[h] = values[j] || "";
+    });
+    // +2: 1-based line numbers and the header line
+    return { row: i + 2, record };
+  });
+  return { headers: headers.filter(Boolean), records };
+}
+
+// Parse an uploaded sheet. Returns { headers, records: [{ row, record }] }
+// where `row` is the spreadsheet row number used in the import report.
+export async function parseEmployeeSheet(buffer, filename = "") {
+  const ext = path.extname(String(filename)).toLowerCase();
+  if (ext === ".xlsx") return parseXlsx(buffer);
+  if (ext === ".csv" || ext === ".txt" || ext === "") return parseCsvBuffer(buffer);
+  throw new Error(`Unsupported import file type: ${ext} (use .csv or .xlsx)`);
+}
+
+// Apply a column mapping to a raw record -> plain employee field object
+export function mapRecord(record, mapping) {
+  const out = {};
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = String(record[header] ?? "").trim();
+    if (value) out[field] = value;
+  }
+  return out;
+}
+
+// Read photos from a ZIP into a Map keyed by lowercase base filename. Only the
+// entries named in `names` (lowercase base filenames, e.g. the photo_file column)
+// are decompressed; throws when the ZIP breaks the limits above.
+export function readPhotoZip(buffer, { names = null } = {}) {
+  const photos = new Map();
+  if (!buffer) return photos;
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries();
+  if (entries.length > MAX_ZIP_ENTRIES) throw new Error(`photos ZIP has too many entries (max ${MAX_ZIP_ENTRIES})`);
+  let total = 0;
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+    const name = path.basename(entry.entryName);
+    if (name.startsWith(".") || entry.entryName.startsWith("__MACOSX/")) continue;
+    if (!/\.(jpe?g|png|webp)$/i.test(name)) continue;
+    const key = name.toLowerCase();
+    if (names && !names.has(key)) continue;
+    if (entry.header.size > MAX_ZIP_PHOTO_BYTES) {
+      throw new Error(`${name} in photos ZIP is larger than ${MAX_ZIP_PHOTO_BYTES / 1024 / 1024} MB`);
+    }
+    total += entry.header.size;
+    if (total > MAX_ZIP_TOTAL_BYTES) {
+      throw new Error(`photos ZIP holds more than ${MAX_ZIP_TOTAL_BYTES / 1024 / 1024} MB of referenced photos`);
+    }
+    photos.set(key, entry.getData());
+  }
+  return photos;
+}
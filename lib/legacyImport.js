@@ -0,0 +1,47 @@
+// lib/legacyImport.js
+// Reading the legacy SQLite database (employees.db) the app used before MongoDB.
+import fs from "fs/promises";
+import path from "path";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+
+// Legacy table: employees(id, employee_id, first_name, last_name, address, position,
+// contact, dob, blood_group, email, dept, other, photo_path, created_at)
+export async function readLegacyEmployees(dbPath) {
+  await fs.access(dbPath); // sqlite would otherwise create an empty database
+  const db = await open({ filename: dbPath, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  try {
+    return await db.all("SELECT * FROM employees ORDER BY id");
+  } finally {
+    await db.close();
+  }
+}
+
+const LEGACY_FIELDS = ["first_name", "last_name", "address", "position", "contact", "dob", "blood_group", "email", "dept", "other"];
+
+// Legacy row -> { legacy_id, employee_id, fields, photo_path, created_at }
+export function mapLegacyRow(row) {
+  const fields = {};
+  for (const field of LEGACY_FIELDS) fields[field] = row[field] == null ? "" : String(row[field]).trim();
+  const created = row.created_at ? new Date(row.created_at) : null;
+  return {
+    legacy_id: row.id,
+    employee_id: String(row.employee_id || "").trim(),
+    fields,
+    photo_path: row.photo_path || "",
+    created_at: created && !Number.isNaN(created.getTime()) ? created : new Date()
+  };
+}
+
+// Photo referenced by photo_path ("/uploads/<file>"), read from uploadsDir.
+// Only the basename is used so a path in the database cannot escape the directory.
+export async function readLegacyPhoto(photoPath, uploadsDir) {
+  if (!photoPath) return null;
+  const file = path.join(uploadsDir, path.basename(String(photoPath)));
+  try {
+    return { buffer: await fs.readFile(file), filename: path.basename(file) };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
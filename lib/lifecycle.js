@@ -0,0 +1,58 @@
+// lib/lifecycle.js
+// Badge lifecycle: stored status + validity window -> effective status.
+
+// Statuses an admin can set. "expired" is normally derived from valid_until
+// but may also be set explicitly (e.g. contract ended early).
+export const CARD_STATUSES = ["active", "suspended", "revoked", "lost", "expired"];
+
+// Banner text / colour for each effective status on the verify page
+export const CARD_STATUS_DISPLAY = {
+  active: { label: "ACTIVE", color: "#1B7F3B" },
+  suspended: { label: "SUSPENDED", color: "#C77700" },
+  revoked: { label: "REVOKED", color: "#B00020" },
+  lost: { label: "REPORTED LOST", color: "#B00020" },
+  expired: { label: "EXPIRED", color: "#B00020" },
+  not_yet_valid: { label: "NOT YET VALID", color: "#C77700" }
+};
+
+// Status as of `now`, taking the validity window into account.
+// Records from before lifecycle tracking have no status and count as active.
+export function effectiveCardStatus(row, now = new Date()) {
+  const status = row.card_status || "active";
+  if (status !== "active") return status;
+  if (row.valid_until && new Date(row.valid_until) < now) return "expired";
+  if (row.valid_from && new Date(row.valid_from) > now) return "not_yet_valid";
+  return "active";
+}
+
+export function cardSummary(row, now = new Date()) {
+  return {
+    status: effectiveCardStatus(row, now),
+    stored_status: row.card_status || "active",
+    version: row.card_version || 1,
+    issued_at: row.card_issued_at || row.created_at || null,
+    valid_from: row.valid_from || null,
+    valid_until: row.valid_until || null,
+    history: row.card_history || []
+  };
+}
+
+// Read valid_from / valid_until from a request body. Missing keys keep the
+// current value, "" or null clears it. Returns { valid_from, valid_until } or { error }.
+export function parseValidityWindow(body = {}, current = {}) {
+  const out = { valid_from: current.valid_from || null, valid_until: current.valid_until || null };
+  for (const field of ["valid_from", "valid_until"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === "") {
+      out[field] = null;
+      continue;
+    }
+    const d = new Date(body[field]);
+    if (Number.isNaN(d.getTime())) return { error: `${field} is not a valid date` };
+    out[field] = d;
+  }
+  if (out.valid_from && out.valid_until && out.valid_from > out.valid_until) {
+    return { error: "valid_from must be before valid_until" };
+  }
+  return out;
+}
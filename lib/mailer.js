@@ -0,0 +1,36 @@
+// lib/mailer.js
+// Outgoing email over SMTP (nodemailer). Any SMTP server works, including local
+// test servers such as MailHog or smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025).
+import nodemailer from "nodemailer";
+
+// SMTP settings from the environment; host "" = email disabled
+export function smtpConfigFromEnv(env = process.env) {
+  return {
+    host: env.SMTP_HOST || "",
+    port: parseInt(env.SMTP_PORT || "587", 10) || 587,
+    secure: env.SMTP_SECURE === "true", // TLS from the start (port 465); otherwise STARTTLS when offered
+    ignoreTLS: env.SMTP_IGNORE_TLS === "true", // never STARTTLS (plain test servers)
+    user: env.SMTP_USER || "",
+    pass: env.SMTP_PASS || "",
+    from: env.SMTP_FROM || "ID cards <no-reply@localhost>"
+  };
+}
+
+// Returns { from, send(message), verify() } or null when no host is configured.
+// send takes nodemailer message fields (to, cc, subject, text, html) and resolves
+// to nodemailer's info ({ messageId, accepted, rejected, ... }).
+export function createMailer(config) {
+  if (!config || !config.host) return null;
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    ignoreTLS: config.ignoreTLS,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+  return {
+    from: config.from,
+    send: message => transport.sendMail({ from: config.from, ...message }),
+    verify: () => transport.verify()
+  };
+}
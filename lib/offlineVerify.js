@@ -0,0 +1,74 @@
+// lib/offlineVerify.js
+// Standalone verifier for offline QR payloads. No server or Node-only imports:
+// it runs anywhere WebCrypto has Ed25519 (Node 20+, current browsers, most
+// scanner app runtimes). The server also publishes this file at
+// /.well-known/badge-verify.js.
+//
+// Usage in a scanner app:
+//   const { keys } = await (await fetch(".../.well-known/badge-keys.json")).json(); // while online, cache it
+//   const result = await verifyOfflineBadge(scannedText, keys);
+//   if (result.valid) show(result.badge); else reject(result.reason);
+
+export const OFFLINE_PREFIX = "IDB1:";
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+export function isOfflinePayload(text) {
+  return typeof text === "string" && text.startsWith(OFFLINE_PREFIX);
+}
+
+// Decode without verifying (e.g. to show what was scanned alongside a failure)
+export function decodeOfflinePayload(text) {
+  if (!isOfflinePayload(text)) return null;
+  const [payload, sig] = text.slice(OFFLINE_PREFIX.length).split(".");
+  if (!payload || !sig) return null;
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    return { payload, sig, claims };
+  } catch {
+    return null;
+  }
+}
+
+// keys: array of published JWKs ({ kty: "OKP", crv: "Ed25519", kid, x })
+// Returns { valid: true, badge } or { valid: false, reason, badge? }.
+export async function verifyOfflineBadge(text, keys, { now = Date.now(), subtle = globalThis.crypto && globalThis.crypto.subtle } = {}) {
+  const decoded = decodeOfflinePayload(text);
+  if (!decoded) return { valid: false, reason: "malformed" };
+  const { payload, sig, claims } = decoded;
+
+  const badge = {
+    employee_id: claims.e,
+    name: claims.n,
+    dept: claims.d,
+    card_version: claims.v,
+    valid_from: new Date(claims.f * 1000).toISOString(),
+    valid_until: new Date(claims.u * 1000).toISOString(),
+    kid: claims.k
+  };
+
+  const jwk = (keys || []).find(k => k.kid === claims.k);
+  if (!jwk) return { valid: false, reason: "unknown_key", badge };
+  if (jwk.status === "retired") return { valid: false, reason: "retired_key", badge };
+  if (!subtle) return { valid: false, reason: "no_webcrypto", badge };
+
+  let ok = false;
+  try {
+    const key = await subtle.importKey("jwk", { kty: "OKP", crv: "Ed25519", x: jwk.x }, { name: "Ed25519" }, false, ["verify"]);
+    ok = await subtle.verify({ name: "Ed25519" }, key, fromBase64Url(sig), new TextEncoder().encode(payload));
+  } catch {
+    ok = false;
+  }
+  if (!ok) return { valid: false, reason: "bad_signature", badge };
+
+  const nowS = Math.floor(now / 1000);
+  if (nowS < claims.f) return { valid: false, reason: "not_yet_valid", badge };
+  if (nowS > claims.u) return { valid: false, reason: "expired", badge };
+  return { valid: true, badge };
+}
@@ -0,0 +1,56 @@
+// lib/photo.js
+// Badge photo normalisation: runs on every uploaded photo before it reaches storage.
+import sharp from "sharp";
+
+// Same 19:23 aspect as the photo box on the 300 DPI card (see lib/card.js)
+export const PHOTO_SIZES = {
+  print: { width: 760, height: 920, quality: 90 },
+  thumb: { width: 152, height: 184, quality: 80 }
+};
+
+export class PhotoRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PhotoRejectedError";
+  }
+}
+
+// Below this per-channel standard deviation the image is effectively one flat
+// colour (lens cap, blank scan, solid placeholder).
+const BLANK_STDEV = 6;
+
+// Auto-rotate from EXIF, reject unusable images, crop to the badge aspect ratio
+// and render the standard sizes. Output is JPEG with all metadata (EXIF, GPS,
+// ICC, XMP) stripped. `crop` is "attention" (focus on the most salient region,
+// usually the face) or "center".
+export async function normalizePhoto(buffer, { minWidth = 240, minHeight = 290, crop = "attention" } = {}) {
+  let oriented;
+  try {
+    // rotate() with no angle applies the EXIF orientation; output drops metadata
+    oriented = await sharp(buffer, { failOn: "error" }).rotate().toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw new PhotoRejectedError(`Could not read image: ${err.message || err}`);
+  }
+
+  const { width, height } = oriented.info;
+  if (width < minWidth || height < minHeight) {
+    throw new PhotoRejectedError(`Image is too small (${width}x${height}); minimum is ${minWidth}x${minHeight}`);
+  }
+
+  const stats = await sharp(oriented.data).stats();
+  const colourChannels = stats.channels.slice(0, 3);
+  if (Math.max(...colourChannels.map(c => c.stdev)) < BLANK_STDEV) {
+    throw new PhotoRejectedError("Image appears to be blank");
+  }
+
+  const position = crop === "center" ? "centre" : sharp.strategy.attention;
+  const render = ({ width: w, height: h, quality }) =>
+    sharp(oriented.data)
+      .resize(w, h, { fit: "cover", position, withoutEnlargement: false })
+      .flatten({ background: "#FFFFFF" })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+
+  const [print, thumb] = await Promise.all([render(PHOTO_SIZES.print), render(PHOTO_SIZES.thumb)]);
+  return { print, thumb, original: { width, height } };
+}
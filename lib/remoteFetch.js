@@ -0,0 +1,90 @@
+// lib/remoteFetch.js
+// Server-side downloads of URLs that users supply (card logos, employee photos).
+// Only public addresses are ever contacted: literal hosts are checked up front,
+// host names on every DNS answer at connect time (so a name that resolves, or
+// later re-resolves, to a private IP is refused), and redirects are followed by
+// hand so each hop goes through the same checks. Bodies are capped in size.
+import dns from "dns";
+import http from "http";
+import https from "https";
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+// localhost, loopback, RFC 1918 / unique-local, carrier-grade NAT, link-local
+// (cloud metadata) and unspecified addresses. Takes a URL hostname or a resolved
+// IP; WHATWG URL already normalises 0x7f.1, 2130706433 etc.
+export function isInternalHost(hostname) {
+  const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const v4 = (mapped ? mapped[1] : host).match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (!host.includes(":")) return false;
+  if (/^::ffff:[0-9a-f]+:[0-9a-f]+$/.test(host)) return true; // IPv4-mapped in hex form; never a public host
+  return host === "::" || host === "::1" || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+}
+
+// dns.lookup that refuses private answers; net calls it right before connecting
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const answers = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = answers.find(a => isInternalHost(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private or local address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+function get(url, signal) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { lookup: publicLookup, signal }, resolve).on("error", reject);
+  });
+}
+
+// Buffer the body, giving up (and dropping the connection) past maxBytes
+async function readBody(res, maxBytes) {
+  const tooLarge = () => new Error(`Response is larger than ${maxBytes} bytes`);
+  if (Number(res.headers["content-length"]) > maxBytes) {
+    res.destroy();
+    throw tooLarge();
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      res.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// GET a public http(s) URL and return the body. Throws on private hosts,
+// non-2xx answers, bodies over maxBytes, more than maxRedirects redirects or
+// after timeoutMs.
+export async function fetchRemote(url, { timeoutMs = 8000, maxBytes = 10 * 1024 * 1024, maxRedirects = 3 } = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = new URL(url);
+  for (let hop = 0; ; hop++) {
+    if (!["http:", "https:"].includes(current.protocol)) throw new Error(`Unsupported URL protocol ${current.protocol}`);
+    if (isInternalHost(current.hostname)) throw new Error(`${current.hostname} is a private or local address`);
+    const res = await get(current, signal);
+    if (REDIRECT_CODES.includes(res.statusCode) && res.headers.location) {
+      res.resume();
+      if (hop >= maxRedirects) throw new Error(`More than ${maxRedirects} redirects`);
+      current = new URL(res.headers.location, current);
+      continue;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new Error(`HTTP ${res.statusCode}`);
+    }
+    return readBody(res, maxBytes);
+  }
+}
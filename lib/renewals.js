@@ -0,0 +1,227 @@
+// lib/renewals.js
+// Card expiry and photo age: which employees need a new card or photo, the
+// per-department dashboard and the reminder job. Reminders go out through
+// lib/mailer.js and are logged in models/RenewalReminder.js.
+//
+// options everywhere: { now, noticeDays, photoMaxAgeMonths }
+import Department from "../models/Department.js";
+import Employee from "../models/Employee.js";
+import RenewalReminder from "../models/RenewalReminder.js";
+
+export const RENEWAL_REASONS = ["card_expiring", "card_expired", "photo_outdated", "photo_missing"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Revoked, lost and suspended cards are handled by hand, not reminded about
+const REMINDED_STATUSES = [null, "active", "expired"];
+const RENEWAL_PROJECTION = {
+  employee_id: 1,
+  first_name: 1,
+  last_name: 1,
+  email: 1,
+  dept: 1,
+  department_id: 1,
+  card_status: 1,
+  valid_from: 1,
+  valid_until: 1,
+  photo_url: 1,
+  photo_updated_at: 1,
+  created_at: 1
+};
+
+export function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+// Photos stored before photo_updated_at was tracked count as taken when the employee was created
+export function photoTakenAt(row) {
+  return row.photo_updated_at || row.created_at || null;
+}
+
+function thresholds({ now = new Date(), noticeDays, photoMaxAgeMonths }) {
+  return { now, soon: new Date(now.getTime() + noticeDays * DAY_MS), photoCutoff: addMonths(now, -photoMaxAgeMonths) };
+}
+
+// Employees that may need a renewal (renewalReasons has the final say)
+export function renewalFilter(options) {
+  const { soon, photoCutoff } = thresholds(options);
+  return {
+    deleted_at: null,
+    card_status: { $in: REMINDED_STATUSES },
+    $or: [
+      { card_status: "expired" },
+      { valid_until: { $lte: soon } },
+      { photo_url: { $in: [null, ""] } },
+      { photo_updated_at: { $lte: photoCutoff } },
+      { photo_updated_at: null, created_at: { $lte: photoCutoff } }
+    ]
+  };
+}
+
+// Why `row` needs a renewal as of options.now (empty = nothing due)
+export function renewalReasons(row, options) {
+  const { now, soon, photoCutoff } = thresholds(options);
+  if (row.deleted_at || !REMINDED_STATUSES.includes(row.card_status || null)) return [];
+  const reasons = [];
+  const until = row.valid_until ? new Date(row.valid_until) : null;
+  if (row.card_status === "expired" || (until && until < now)) reasons.push("card_expired");
+  else if (until && until <= soon) reasons.push("card_expiring");
+  if (!row.photo_url) {
+    reasons.push("photo_missing");
+  } else {
+    const taken = photoTakenAt(row);
+    if (taken && new Date(taken) <= photoCutoff) reasons.push("photo_outdated");
+  }
+  return reasons;
+}
+
+// [{ row, reasons }] for every employee with something due, soonest expiry first.
+// extraFilter narrows the search (e.g. one department).
+export async function findRenewalsDue(options, extraFilter = {}) {
+  const rows = await Employee.find({ $and: [renewalFilter(options), extraFilter] }, RENEWAL_PROJECTION)
+    .sort({ valid_until: 1, employee_id: 1 })
+    .lean();
+  return rows.map(row => ({ row, reasons: renewalReasons(row, options) })).filter(d => d.reasons.length > 0);
+}
+
+function emptyCounts() {
+  return { employees: 0, without_expiry: 0, needs_renewal: 0, ...Object.fromEntries(RENEWAL_REASONS.map(r => [r, 0])) };
+}
+
+// Dashboard: per-department counts of employees with each renewal reason, plus
+// headcount, cards with no expiry date and the next upcoming expiry.
+// Employees without a registry department are grouped by their dept text.
+export async function renewalSummary(options) {
+  const [due, totals, departments] = await Promise.all([
+    findRenewalsDue(options),
+    Employee.aggregate([
+      { $match: { deleted_at: null } },
+      {
+        $group: {
+          _id: { $ifNull: ["$department_id", { $ifNull: ["$dept", ""] }] },
+          employees: { $sum: 1 },
+          without_expiry: { $sum: { $cond: [{ $ifNull: ["$valid_until", false] }, 0, 1] } }
+        }
+      }
+    ]),
+    Department.find({}, { code: 1, name: 1 }).lean()
+  ]);
+  const registry = new Map(departments.map(d => [String(d._id), d]));
+  const groups = new Map();
+  const group = (key, sample) => {
+    if (!groups.has(key)) {
+      const dept = registry.get(key);
+      groups.set(key, {
+        department_id: dept ? dept._id : null,
+        code: dept ? dept.code : null,
+        name: dept ? dept.name : sample || "(no department)",
+        ...emptyCounts(),
+        next_expiry: null
+      });
+    }
+    return groups.get(key);
+  };
+
+  for (const t of totals) {
+    const g = group(String(t._id), typeof t._id === "string" ? t._id : "");
+    g.employees = t.employees;
+    g.without_expiry = t.without_expiry;
+  }
+  for (const { row, reasons } of due) {
+    const g = group(String(row.department_id || row.dept || ""), row.dept);
+    g.needs_renewal++;
+    for (const reason of reasons) g[reason]++;
+    if (reasons.includes("card_expiring") && (!g.next_expiry || row.valid_until < g.next_expiry)) g.next_expiry = row.valid_until;
+  }
+
+  const list = [...groups.values()].sort((a, b) => b.needs_renewal - a.needs_renewal || a.name.localeCompare(b.name));
+  const total = emptyCounts();
+  for (const g of list) for (const k of Object.keys(total)) total[k] += g[k];
+  return { totals: total, departments: list };
+}
+
+function isoDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Plain-text reminder for one employee
+export function renewalEmail(row, reasons, { companyCode, photoMaxAgeMonths }) {
+  const name = `${row.first_name || ""} ${row.last_name || ""}`.trim();
+  const lines = reasons.map(reason => {
+    switch (reason) {
+      case "card_expired":
+        return row.valid_until ? `- Your ID card expired on ${isoDate(row.valid_until)}.` : "- Your ID card has expired.";
+      case "card_expiring":
+        return `- Your ID card expires on ${isoDate(row.valid_until)}.`;
+      case "photo_outdated":
+        return `- Your ID photo is from ${isoDate(photoTakenAt(row))}; photos are renewed every ${photoMaxAgeMonths} months.`;
+      default:
+        return "- There is no photo on file for your ID card.";
+    }
+  });
+  return {
+    subject: `[${companyCode}] ID card renewal needed: ${name} (${row.employee_id})`,
+    text: [
+      `Hello ${row.first_name || name},`,
+      "",
+      `Your ${companyCode} ID card needs attention:`,
+      ...lines,
+      "",
+      "Please contact HR to arrange a new card or photo.",
+      "",
+      `Employee ID: ${row.employee_id}`
+    ].join("\n")
+  };
+}
+
+// Email everyone with something due. Employees are mailed at their own address
+// with notifyTo in copy; without an address (or with notifyEmployees off) the
+// reminder goes to notifyTo only. Reasons already reminded about within
+// repeatDays are not mailed again; a new reason triggers a fresh reminder.
+// With dryRun nothing is sent or logged and `planned` lists what would be.
+export async function sendRenewalReminders(options, { mailer, notifyEmployees = true, notifyTo = [], repeatDays, companyCode, dryRun = false }) {
+  const due = await findRenewalsDue(options);
+  const result = { enabled: Boolean(mailer), dry_run: dryRun, due: due.length, sent: 0, failed: 0, skipped: 0, already_reminded: 0 };
+  if (!mailer && !dryRun) return result;
+
+  const since = new Date(options.now.getTime() - repeatDays * DAY_MS);
+  const recent = await RenewalReminder.aggregate([
+    { $match: { employee_id: { $in: due.map(d => d.row.employee_id) }, status: { $in: ["sent", "skipped"] }, sent_at: { $gte: since } } },
+    { $unwind: "$reasons" },
+    { $group: { _id: "$employee_id", reasons: { $addToSet: "$reasons" } } }
+  ]);
+  const reminded = new Map(recent.map(r => [r._id, new Set(r.reasons)]));
+  if (dryRun) result.planned = [];
+
+  for (const { row, reasons } of due) {
+    const done = reminded.get(row.employee_id);
+    if (done && reasons.every(r => done.has(r))) {
+      result.already_reminded++;
+      continue;
+    }
+    const toEmployee = notifyEmployees && row.email;
+    const to = toEmployee ? [row.email] : notifyTo;
+    const cc = toEmployee ? notifyTo : [];
+    const log = { employee_id: row.employee_id, reasons, to, cc, valid_until: row.valid_until || null, photo_updated_at: row.photo_updated_at || null };
+
+    if (dryRun) {
+      result.planned.push({ employee_id: row.employee_id, reasons, to, cc });
+      continue;
+    }
+    if (to.length === 0) {
+      await RenewalReminder.create({ ...log, status: "skipped", error: "No recipient (employee has no email and RENEWAL_NOTIFY_TO is empty)" });
+      result.skipped++;
+      continue;
+    }
+    try {
+      const info = await mailer.send({ to, cc, ...renewalEmail(row, reasons, { companyCode, photoMaxAgeMonths: options.photoMaxAgeMonths }) });
+      await RenewalReminder.create({ ...log, status: "sent", message_id: info.messageId || null });
+      result.sent++;
+    } catch (err) {
+      await RenewalReminder.create({ ...log, status: "failed", error: String(err.message || err).slice(0, 500) });
+      result.failed++;
+    }
+  }
+  return result;
+}
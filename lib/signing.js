@@ -0,0 +1,240 @@
+// lib/signing.js
+// Signed verification tokens for the QR code.
+//
+// token = base64url(JSON { e: employee_id, v: card_version, i: issued_at (unix s), k: kid })
+//         + "." + base64url(HMAC-SHA256(payload, key) truncated to 16 bytes)
+// Visitor badges use the same format with { t: "visitor", e: visitor_id, i, k }.
+//
+// Offline QR payloads are signed with Ed25519 instead (see signOfflinePayload
+// and lib/offlineVerify.js) so scanners can check them with the public key only.
+//
+// Keys live in MongoDB (SigningKey) so admins can rotate without a redeploy:
+// new cards are signed with the active key while cards signed with older
+// "verify" keys keep validating until those keys are retired.
+import crypto from "crypto";
+import SigningKey from "../models/SigningKey.js";
+import { OFFLINE_PREFIX } from "./offlineVerify.js";
+
+export const SIGNING_ALGS = ["hmac-sha256", "ed25519"];
+const DEFAULT_ALG = "hmac-sha256";
+
+const SIG_BYTES = 16;
+const KEY_CACHE_MS = 60 * 1000;
+
+let cache = { loadedAt: 0, keys: new Map(), active: {} };
+
+function b64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function hmac(payload, secret) {
+  return crypto.createHmac("sha256", Buffer.from(secret, "base64")).update(payload).digest().subarray(0, SIG_BYTES);
+}
+
+function algOf(key) {
+  return key.alg || DEFAULT_ALG; // keys created before ed25519 support have no alg
+}
+
+function newKid(alg) {
+  const prefix = alg === "ed25519" ? "e" : "k";
+  return `${prefix}${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function generateKeyMaterial(alg) {
+  if (alg === "ed25519") {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+    return {
+      secret: privateKey.export({ type: "pkcs8", format: "der" }).toString("base64"),
+      public_key: publicKey.export({ format: "jwk" }).x
+    };
+  }
+  return { secret: crypto.randomBytes(32).toString("base64"), public_key: null };
+}
+
+export async function loadSigningKeys(force = false) {
+  if (!force && cache.loadedAt && Date.now() - cache.loadedAt < KEY_CACHE_MS) return cache;
+  const docs = await SigningKey.find({}).lean();
+  const keys = new Map(docs.map(d => [d.kid, d]));
+  const active = {};
+  for (const d of docs) if (d.status === "active") active[algOf(d)] = d;
+  cache = { loadedAt: Date.now(), keys, active };
+  return cache;
+}
+
+// Create the first key per algorithm on a fresh database
+export async function ensureSigningKey() {
+  const { active } = await loadSigningKeys(true);
+  for (const alg of SIGNING_ALGS) {
+    if (active[alg]) continue;
+    await SigningKey.create({ kid: newKid(alg), alg, ...generateKeyMaterial(alg), status: "active" });
+    console.log(`🔑 Created initial ${alg} signing key`);
+  }
+  return loadSigningKeys(true);
+}
+
+export async function getActiveSigningKey(alg = DEFAULT_ALG) {
+  const { active } = await loadSigningKeys();
+  if (!active[alg]) throw new Error(`No active ${alg} signing key`);
+  return active[alg];
+}
+
+// Make a new active key; the previous active key keeps verifying old cards
+export async function rotateSigningKey(alg = DEFAULT_ALG) {
+  const doc = await SigningKey.create({ kid: newKid(alg), alg, ...generateKeyMaterial(alg), status: "active" });
+  const sameAlg = alg === DEFAULT_ALG ? { $in: [alg, null] } : alg;
+  await SigningKey.updateMany({ status: "active", alg: sameAlg, _id: { $ne: doc._id } }, { $set: { status: "verify" } });
+  await loadSigningKeys(true);
+  return doc;
+}
+
+// Stop accepting cards signed with kid (they must be reissued)
+export async function retireSigningKey(kid) {
+  const doc = await SigningKey.findOne({ kid });
+  if (!doc) return { error: "Not found", status: 404 };
+  if (doc.status === "active") return { error: "Rotate before retiring the active key", status: 400 };
+  doc.status = "retired";
+  doc.retired_at = new Date();
+  await doc.save();
+  await loadSigningKeys(true);
+  return { key: doc };
+}
+
+export function publicKeyInfo(doc) {
+  return { kid: doc.kid, alg: algOf(doc), status: doc.status, createdAt: doc.createdAt, retired_at: doc.retired_at || null };
+}
+
+// Published Ed25519 keys (JWK) for offline scanners. Retired keys are left out
+// so scanners that refresh their key set stop trusting them.
+export async function publishedOfflineKeys() {
+  const { keys } = await loadSigningKeys();
+  return [...keys.values()]
+    .filter(k => algOf(k) === "ed25519" && k.status !== "retired")
+    .map(k => ({ kty: "OKP", crv: "Ed25519", alg: "EdDSA", use: "sig", kid: k.kid, x: k.public_key, status: k.status }));
+}
+
+// Card version / issue date for an employee, tolerating records from before
+// they were tracked (version 1, issued when created).
+export function cardIdentity(row) {
+  const issued = row.card_issued_at || row.created_at || new Date(0);
+  return {
+    employee_id: row.employee_id,
+    card_version: row.card_version || 1,
+    issued_at: Math.floor(new Date(issued).getTime() / 1000)
+  };
+}
+
+export function signVerifyToken(row, key) {
+  const { employee_id, card_version, issued_at } = cardIdentity(row);
+  const payload = b64url(JSON.stringify({ e: employee_id, v: card_version, i: issued_at, k: key.kid }));
+  return `${payload}.${b64url(hmac(payload, key.secret))}`;
+}
+
+// Claims of a token without checking it (e.g. to find the employee first), or null
+export function decodeVerifyToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims && typeof claims === "object" ? { payload, sig, claims } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Check a decoded token's HMAC against its key. Returns null or a reason.
+async function signatureProblem({ payload, sig, claims }) {
+  let { keys } = await loadSigningKeys();
+  let key = keys.get(claims.k);
+  if (!key) {
+    // may have been rotated on another instance since our last load
+    ({ keys } = await loadSigningKeys(true));
+    key = keys.get(claims.k);
+  }
+  if (!key || algOf(key) !== "hmac-sha256") return "unknown_key";
+
+  const expected = hmac(payload, key.secret);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "bad_signature";
+  if (key.status === "retired") return "retired_key";
+  return null;
+}
+
+// Check only the signature, before anything is looked up by the token's claims
+// (so forged tokens learn nothing about which IDs exist).
+// Returns { ok: true, claims } or { ok: false, reason }.
+export async function checkTokenSignature(token) {
+  const decoded = decodeVerifyToken(token);
+  if (!decoded) return { ok: false, reason: "malformed" };
+  const problem = await signatureProblem(decoded);
+  return problem ? { ok: false, reason: problem } : { ok: true, claims: decoded.claims };
+}
+
+// Check a token against its key and the employee's current card.
+// Returns { ok: true } or { ok: false, reason }.
+export async function checkVerifyToken(token, row) {
+  const decoded = decodeVerifyToken(token);
+  if (!decoded) return { ok: false, reason: "malformed" };
+  const { claims } = decoded;
+  const problem = await signatureProblem(decoded);
+  if (problem) return { ok: false, reason: problem };
+
+  if (claims.t) return { ok: false, reason: "wrong_badge_type" };
+  const current = cardIdentity(row);
+  if (claims.e !== current.employee_id) return { ok: false, reason: "wrong_employee" };
+  if (claims.v !== current.card_version || claims.i !== current.issued_at) return { ok: false, reason: "superseded" };
+  return { ok: true, claims };
+}
+
+// Public verify URL for a card: /verify/<employee_id>?t=<token>
+export function verifyUrlFor(base, row, key) {
+  return `${base}/verify/${encodeURIComponent(row.employee_id)}?t=${signVerifyToken(row, key)}`;
+}
+
+// Visitor badges (models/Visitor.js) are signed with the same keys. The "t" claim
+// keeps visitor and employee tokens from passing for each other; revoking and
+// expiry are checked against the record, so there is no version claim.
+export function signVisitorToken(visitor, key) {
+  const issued_at = Math.floor(new Date(visitor.created_at || 0).getTime() / 1000);
+  const payload = b64url(JSON.stringify({ t: "visitor", e: visitor.visitor_id, i: issued_at, k: key.kid }));
+  return `${payload}.${b64url(hmac(payload, key.secret))}`;
+}
+
+export async function checkVisitorToken(token, visitor) {
+  const decoded = decodeVerifyToken(token);
+  if (!decoded) return { ok: false, reason: "malformed" };
+  const { claims } = decoded;
+  const problem = await signatureProblem(decoded);
+  if (problem) return { ok: false, reason: problem };
+
+  if (claims.t !== "visitor") return { ok: false, reason: "wrong_badge_type" };
+  if (claims.e !== visitor.visitor_id) return { ok: false, reason: "wrong_visitor" };
+  if (claims.i !== Math.floor(new Date(visitor.created_at || 0).getTime() / 1000)) return { ok: false, reason: "superseded" };
+  return { ok: true, claims };
+}
+
+// Public verify URL for a visitor badge: /verify/visitor/<visitor_id>?t=<token>
+export function visitorVerifyUrlFor(base, visitor, key) {
+  return `${base}/verify/visitor/${encodeURIComponent(visitor.visitor_id)}?t=${signVisitorToken(visitor, key)}`;
+}
+
+// Offline QR payload: "<prefix>" + base64url(JSON claims) + "." + base64url(Ed25519 signature).
+// Claims are kept short to keep the QR scannable: e=employee_id, n=name, d=dept,
+// v=card version, f/u=valid from/until (unix s), k=kid. validFrom defaults to
+// the card's issue time.
+export function signOfflinePayload(row, key, { validFrom = null, validUntil }) {
+  const { employee_id, card_version, issued_at } = cardIdentity(row);
+  const name = `${row.first_name || ""} ${row.last_name || ""}`.trim().slice(0, 40);
+  const claims = {
+    e: employee_id,
+    n: name,
+    d: String(row.dept || "").slice(0, 24),
+    v: card_version,
+    f: validFrom ? Math.floor(new Date(validFrom).getTime() / 1000) : issued_at,
+    u: Math.floor(new Date(validUntil).getTime() / 1000),
+    k: key.kid
+  };
+  const payload = b64url(JSON.stringify(claims));
+  const privateKey = crypto.createPrivateKey({ key: Buffer.from(key.secret, "base64"), format: "der", type: "pkcs8" });
+  const sig = crypto.sign(null, Buffer.from(payload), privateKey);
+  return `${OFFLINE_PREFIX}${payload}.${b64url(sig)}`;
+}
@@ -0,0 +1,56 @@
+// lib/storage/cloudinary.js
+// Cloudinary photo driver (the original backend).
+import cloudinary from "cloudinary";
+import streamifier from "streamifier";
+
+export function createCloudinaryDriver({ folder = "Artibots" } = {}) {
+  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+    console.warn("Warning: Cloudinary env vars are not fully set. Image upload endpoints will fail until configured.");
+  }
+
+  cloudinary.v2.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+
+  function uploadBufferToCloudinary(buffer) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        folder,
+        use_filename: true,
+        unique_filename: true,
+        resource_type: "image",
+        transformation: [{ width: 2000, crop: "limit" }]
+      };
+
+      const uploadStream = cloudinary.v2.uploader.upload_stream(options, (err, result) => {
+        if (err) return reject(err);
+        resolve(result);
+      });
+
+      streamifier.createReadStream(buffer).pipe(uploadStream);
+    });
+  }
+
+  return {
+    name: "cloudinary",
+
+    async put(buffer) {
+      const result = await uploadBufferToCloudinary(buffer);
+      return { id: result.public_id, url: result.secure_url };
+    },
+
+    async get(id, { url } = {}) {
+      const src = url || cloudinary.v2.url(id, { secure: true, resource_type: "image" });
+      const res = await fetch(src);
+      if (!res.ok) throw new Error(`Cloudinary fetch failed: HTTP ${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async delete(id) {
+      await cloudinary.v2.uploader.destroy(id, { resource_type: "image" });
+    }
+  };
+}
@@ -0,0 +1,37 @@
+// lib/storage/gcs.js
+// Google Cloud Storage driver. Set apiEndpoint to run against a local emulator
+// (e.g. fake-gcs-server: GCS_API_ENDPOINT=http://localhost:4443).
+import path from "path";
+import { Storage } from "@google-cloud/storage";
+import { v4 as uuidv4 } from "uuid";
+
+export function createGcsDriver({ bucket, apiEndpoint, projectId, prefix = "photos", publicBaseUrl }) {
+  if (!bucket) throw new Error("GCS_BUCKET is required for the gcs storage driver");
+
+  const storage = new Storage({
+    ...(projectId ? { projectId } : {}),
+    ...(apiEndpoint ? { apiEndpoint } : {})
+  });
+  const b = storage.bucket(bucket);
+  const base = publicBaseUrl || `${apiEndpoint || "https://storage.googleapis.com"}/${bucket}`;
+
+  return {
+    name: "gcs",
+
+    async put(buffer, { filename = "", contentType = "image/jpeg" } = {}) {
+      const ext = path.extname(filename).toLowerCase() || ".jpg";
+      const id = `${prefix}/${uuidv4()}${ext}`;
+      await b.file(id).save(buffer, { contentType, resumable: false });
+      return { id, url: `${base}/${id}` };
+    },
+
+    async get(id) {
+      const [buffer] = await b.file(id).download();
+      return buffer;
+    },
+
+    async delete(id) {
+      await b.file(id).delete({ ignoreNotFound: true });
+    }
+  };
+}
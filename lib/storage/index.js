@@ -0,0 +1,93 @@
+// lib/storage/index.js
+// Photo storage adapter. Every driver implements:
+//   put(buffer, { filename, contentType }) -> { id, url }
+//   get(id, { url })                        -> Buffer
+//   delete(id)
+// Employees record which driver holds their photo in `photo_storage` (with the
+// driver's id in `photo_public_id`), so backends can be switched or migrated
+// without breaking existing photos.
+import path from "path";
+import { createCloudinaryDriver } from "./cloudinary.js";
+import { createGcsDriver } from "./gcs.js";
+import { createLocalDriver } from "./local.js";
+
+export const STORAGE_DRIVERS = ["local", "cloudinary", "gcs"];
+
+// Driver settings from the environment (relative UPLOADS_DIR resolves against rootDir)
+export function storageConfigFromEnv(env = process.env, { rootDir = process.cwd() } = {}) {
+  const port = env.PORT || 4000;
+  const publicBaseUrl = (env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/+$/, "");
+  return {
+    local: { dir: path.resolve(rootDir, env.UPLOADS_DIR || "uploads"), publicBaseUrl },
+    cloudinary: { folder: env.CLOUDINARY_UPLOAD_FOLDER || "Artibots" },
+    gcs: {
+      bucket: env.GCS_BUCKET,
+      apiEndpoint: env.GCS_API_ENDPOINT,
+      projectId: env.GCS_PROJECT_ID,
+      prefix: env.GCS_PREFIX || "photos",
+      publicBaseUrl: env.GCS_PUBLIC_BASE_URL
+    }
+  };
+}
+
+// Photos stored before photo_storage existed all went to Cloudinary
+export function photoDriverOf(doc) {
+  if (!doc || !doc.photo_public_id) return null;
+  return doc.photo_storage || "cloudinary";
+}
+
+// driver: name used for new uploads; fallback: optional driver tried when the
+// primary upload fails (e.g. "local" to ride out a Cloudinary outage).
+export function createPhotoStorage({ driver = "cloudinary", fallback = "", config = storageConfigFromEnv() } = {}) {
+  for (const name of [driver, fallback].filter(Boolean)) {
+    if (!STORAGE_DRIVERS.includes(name)) throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  const instances = new Map();
+  function get(name) {
+    if (!instances.has(name)) {
+      const factory = { local: createLocalDriver, cloudinary: createCloudinaryDriver, gcs: createGcsDriver }[name];
+      if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+      instances.set(name, factory(config[name] || {}));
+    }
+    return instances.get(name);
+  }
+
+  async function putWith(name, buffer, meta) {
+    const { id, url } = await get(name).put(buffer, meta);
+    return { photo_storage: name, photo_public_id: id, photo_url: url };
+  }
+
+  return {
+    name: driver,
+    driver: get,
+
+    // Store a photo -> fields to set on the employee
+    async putPhoto(buffer, meta = {}) {
+      try {
+        return await putWith(driver, buffer, meta);
+      } catch (err) {
+        if (!fallback || fallback === driver) throw err;
+        console.warn(`Photo upload to ${driver} failed, using ${fallback}:`, err.message || err);
+        return putWith(fallback, buffer, meta);
+      }
+    },
+
+    async getPhoto(doc) {
+      const name = photoDriverOf(doc);
+      if (!name) return null;
+      return get(name).get(doc.photo_public_id, { url: doc.photo_url });
+    },
+
+    // Best effort: a stale object in storage must not fail the request
+    async deletePhoto(doc) {
+      const name = photoDriverOf(doc);
+      if (!name) return;
+      try {
+        await get(name).delete(doc.photo_public_id);
+      } catch (err) {
+        console.warn(`Photo delete from ${name} failed:`, err.message || err);
+      }
+    }
+  };
+}
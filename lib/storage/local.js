@@ -0,0 +1,39 @@
+// lib/storage/local.js
+// Local-filesystem photo driver. Files live in `dir` and are served by the
+// app itself under /uploads (see server.js).
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+const EXT_BY_TYPE = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp" };
+
+export function createLocalDriver({ dir, publicBaseUrl }) {
+  const root = path.resolve(dir);
+
+  // ids are bare filenames; never let one escape the uploads directory
+  function resolveId(id) {
+    const name = path.basename(String(id));
+    if (!name || name !== String(id)) throw new Error(`Invalid local photo id: ${id}`);
+    return path.join(root, name);
+  }
+
+  return {
+    name: "local",
+
+    async put(buffer, { filename = "", contentType = "" } = {}) {
+      await fs.mkdir(root, { recursive: true });
+      const ext = EXT_BY_TYPE[contentType] || path.extname(filename).toLowerCase() || ".jpg";
+      const id = `${uuidv4()}${ext}`;
+      await fs.writeFile(path.join(root, id), buffer);
+      return { id, url: `${publicBaseUrl}/uploads/${id}` };
+    },
+
+    async get(id) {
+      return fs.readFile(resolveId(id));
+    },
+
+    async delete(id) {
+      await fs.rm(resolveId(id), { force: true });
+    }
+  };
+}
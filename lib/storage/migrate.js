@@ -0,0 +1,74 @@
+// lib/storage/migrate.js
+// Move employee photos from one storage driver to another.
+import { photoDriverOf } from "./index.js";
+
+// collection: raw MongoDB "employees" collection. For each employee whose photo
+// lives in `from`: download, upload to `to`, update photo_url / photo_public_id /
+// photo_storage (and the thumbnail fields when present), then (unless keepSource)
+// delete the originals. Rows whose photo changed while it was being copied are
+// skipped: the new copies are deleted and the source is left alone.
+export async function migratePhotos({ collection, storage, from, to, dryRun = false, keepSource = false, log = console.log }) {
+  if (from === to) throw new Error("from and to must differ");
+
+  const filter = from === "cloudinary"
+    ? { photo_public_id: { $nin: [null, ""] }, $or: [{ photo_storage: "cloudinary" }, { photo_storage: { $exists: false } }, { photo_storage: null }] }
+    : { photo_public_id: { $nin: [null, ""] }, photo_storage: from };
+
+  const report = { from, to, dryRun, matched: 0, migrated: 0, skipped: 0, failed: 0, errors: [] };
+  const cursor = collection.find(filter);
+
+  for await (const doc of cursor) {
+    if (photoDriverOf(doc) !== from) continue;
+    report.matched++;
+    if (dryRun) {
+      log(`[dry-run] ${doc.employee_id}: ${doc.photo_public_id}`);
+      continue;
+    }
+
+    const target = storage.driver(to);
+    const uploaded = []; // new copies in `to`, removed again if the row cannot be switched over
+    const discardUploads = () =>
+      Promise.all(
+        uploaded.map(id => target.delete(id).catch(err => log(`  warning: could not delete new copy ${id} for ${doc.employee_id}: ${err.message || err}`)))
+      );
+    try {
+      const source = storage.driver(from);
+      const buffer = await source.get(doc.photo_public_id, { url: doc.photo_url });
+      const { id, url } = await target.put(buffer, { filename: String(doc.photo_public_id) });
+      uploaded.push(id);
+      const update = { photo_storage: to, photo_public_id: id, photo_url: url };
+
+      // thumbnail always lives with the main photo
+      if (doc.photo_thumb_public_id) {
+        const thumb = await source.get(doc.photo_thumb_public_id, { url: doc.photo_thumb_url });
+        const t = await target.put(thumb, { filename: String(doc.photo_thumb_public_id) });
+        uploaded.push(t.id);
+        update.photo_thumb_public_id = t.id;
+        update.photo_thumb_url = t.url;
+      }
+
+      const { matchedCount } = await collection.updateOne({ _id: doc._id, photo_public_id: doc.photo_public_id }, { $set: update });
+      if (matchedCount === 0) {
+        // the photo changed (or the employee went) while we copied: keep the source, drop the copies
+        await discardUploads();
+        report.skipped++;
+        log(`${doc.employee_id}: skipped, photo changed during migration`);
+        continue;
+      }
+      if (!keepSource) {
+        for (const sourceId of [doc.photo_public_id, doc.photo_thumb_public_id].filter(Boolean)) {
+          await source.delete(sourceId).catch(err => log(`  warning: could not delete source ${sourceId} for ${doc.employee_id}: ${err.message || err}`));
+        }
+      }
+      report.migrated++;
+      log(`${doc.employee_id}: ${from}:${doc.photo_public_id} -> ${to}:${id}`);
+    } catch (err) {
+      await discardUploads();
+      report.failed++;
+      report.errors.push({ employee_id: doc.employee_id, error: String(err.message || err) });
+      log(`${doc.employee_id}: FAILED ${err.message || err}`);
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,131 @@
+// lib/validation.js
+// Request validation for employee create / update / import. Errors are returned
+// as a list of { field, code, message } so clients can attach them to form fields.
+
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+// Kind of badge holder; card templates can be assigned per type (lib/cardTemplates.js)
+export const EMPLOYEE_TYPES = ["employee", "contractor", "intern"];
+
+// Max lengths (characters) per text field
+export const FIELD_LIMITS = {
+  first_name: 60,
+  last_name: 60,
+  position: 80,
+  dept: 80,
+  contact: 20,
+  email: 254,
+  address: 300,
+  other: 500
+};
+
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with optional leading "+" and spaces, dashes, dots or parentheses between them
+export const PHONE_RE = /^\+?[0-9][0-9 ().-]{5,18}[0-9]$/;
+// dob is stored as a calendar date string so it never shifts with time zones
+export const DOB_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const EMPLOYEE_FIELDS = [
+  "first_name",
+  "last_name",
+  "address",
+  "position",
+  "contact",
+  "dob",
+  "blood_group",
+  "email",
+  "dept",
+  "employee_type",
+  "other"
+];
+
+function isRealDate(str) {
+  const d = new Date(`${str}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === str;
+}
+
+// "o positive", "AB pos", "b+ve" -> "O+", "AB+", "B+"
+export function normaliseBloodGroup(value) {
+  return value
+    .toUpperCase()
+    .replace(/\s+/g, "")
+    .replace(/(POSITIVE|POS)$/, "+")
+    .replace(/(NEGATIVE|NEG)$/, "-")
+    .replace(/([+-])VE$/, "$1");
+}
+
+// Validate and normalise employee fields. With partial, only keys present in
+// `input` are checked (updates); otherwise first_name / last_name are required.
+// Returns { values, errors } where values holds the normalised fields.
+export function validateEmployeeInput(input = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+
+  for (const field of EMPLOYEE_FIELDS) {
+    if (input[field] === undefined || input[field] === null) {
+      if (!partial) values[field] = "";
+      continue;
+    }
+    values[field] = String(input[field]).trim();
+  }
+
+  for (const field of ["first_name", "last_name"]) {
+    if ((!partial || values[field] !== undefined) && !values[field]) {
+      fail(field, "required", `${field} is required`);
+    }
+  }
+
+  for (const [field, max] of Object.entries(FIELD_LIMITS)) {
+    if (values[field] && values[field].length > max) {
+      fail(field, "too_long", `${field} must be at most ${max} characters`);
+    }
+  }
+
+  if (values.email) {
+    values.email = values.email.toLowerCase();
+    if (!EMAIL_RE.test(values.email)) fail("email", "invalid_format", "email is not a valid email address");
+  }
+
+  if (values.contact && !PHONE_RE.test(values.contact)) {
+    fail("contact", "invalid_format", "contact must be a phone number (digits, optional leading +)");
+  }
+
+  if (values.dob) {
+    if (!DOB_RE.test(values.dob) || !isRealDate(values.dob)) {
+      fail("dob", "invalid_format", "dob must be a date in YYYY-MM-DD format");
+    } else if (values.dob > new Date().toISOString().slice(0, 10)) {
+      fail("dob", "invalid_value", "dob cannot be in the future");
+    }
+  }
+
+  if (values.blood_group) {
+    values.blood_group = normaliseBloodGroup(values.blood_group);
+    if (!BLOOD_GROUPS.includes(values.blood_group)) {
+      fail("blood_group", "invalid_value", `blood_group must be one of ${BLOOD_GROUPS.join(", ")}`);
+    }
+  }
+
+  if (values.employee_type !== undefined) {
+    values.employee_type = values.employee_type.toLowerCase() || "employee";
+    if (!EMPLOYEE_TYPES.includes(values.employee_type)) {
+      fail("employee_type", "invalid_value", `employee_type must be one of ${EMPLOYEE_TYPES.join(", ")}`);
+    }
+  }
+
+  return { values, errors };
+}
+
+// Same error shape from a Mongoose ValidationError (schema-level checks)
+export function mongooseFieldErrors(err) {
+  return Object.values(err.errors || {}).map(e => ({
+    field: e.path,
+    code: { required: "required", maxlength: "too_long", "user defined": "invalid_format" }[e.kind] || "invalid_value",
+    message: e.message
+  }));
+}
+
+// Standard 400 body for field errors
+export function validationFailure(errors) {
+  return { success: false, error: errors.map(e => e.message).join("; "), errors };
+}
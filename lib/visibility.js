@@ -0,0 +1,80 @@
+// lib/visibility.js
+// Which employee fields the public verification page / API shows.
+// Name, employee ID and card status are always shown; everything below is
+// configurable. Resolution order: defaults <- global setting <- department <- employee.
+
+export const VERIFY_SETTING_KEY = "verify_fields";
+
+// field -> label, in page order
+export const VERIFY_FIELDS = {
+  photo: "Photo",
+  position: "Position",
+  dept: "Department",
+  blood_group: "Blood Group",
+  contact: "Contact",
+  email: "Email",
+  dob: "DOB",
+  address: "Address"
+};
+
+// Personal data (contact details, DOB, home address) stays private unless enabled
+export const DEFAULT_VERIFY_VISIBILITY = {
+  photo: true,
+  position: true,
+  dept: true,
+  blood_group: true,
+  contact: false,
+  email: false,
+  dob: false,
+  address: false
+};
+
+// Read { field: true|false } overrides from a request body. null / {} clears
+// them. Returns { value } (null when cleared) or { error }.
+export function parseVisibilityOverrides(input) {
+  if (input === null || input === undefined || input === "") return { value: null };
+  let obj = input;
+  if (typeof obj === "string") {
+    try {
+      obj = JSON.parse(obj);
+    } catch {
+      return { error: "verify_fields must be an object of field: true|false" };
+    }
+  }
+  if (typeof obj !== "object" || Array.isArray(obj)) {
+    return { error: "verify_fields must be an object of field: true|false" };
+  }
+  const value = {};
+  for (const [field, shown] of Object.entries(obj)) {
+    if (!VERIFY_FIELDS[field]) return { error: `Unknown verify field "${field}". Use ${Object.keys(VERIFY_FIELDS).join(", ")}` };
+    if (shown === null) continue; // null = inherit
+    if (typeof shown !== "boolean") return { error: `verify_fields.${field} must be true, false or null` };
+    value[field] = shown;
+  }
+  return { value: Object.keys(value).length > 0 ? value : null };
+}
+
+// Effective { field: boolean } for one employee
+export function resolveVisibility(...layers) {
+  const out = { ...DEFAULT_VERIFY_VISIBILITY };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const field of Object.keys(VERIFY_FIELDS)) {
+      if (typeof layer[field] === "boolean") out[field] = layer[field];
+    }
+  }
+  return out;
+}
+
+// The public part of an employee record
+export function publicBadgeView(row, visible) {
+  const view = {
+    employee_id: row.employee_id,
+    name: `${row.first_name || ""} ${row.last_name || ""}`.trim()
+  };
+  for (const field of Object.keys(VERIFY_FIELDS)) {
+    if (!visible[field]) continue;
+    view[field === "photo" ? "photo_url" : field] = (field === "photo" ? row.photo_url : row[field]) || null;
+  }
+  return view;
+}
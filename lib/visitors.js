@@ -0,0 +1,199 @@
+// lib/visitors.js
+// Temporary visitor / contractor badges (models/Visitor.js): request parsing,
+// the validity window, effective status and the printed badge template.
+// Visitor IDs, tokens and routes live in server.js and lib/signing.js.
+import { localDate } from "./attendance.js";
+import { EMAIL_RE, PHONE_RE } from "./validation.js";
+
+export const VISITOR_TYPES = ["visitor", "contractor"];
+// Effective statuses (see effectiveVisitorStatus); stored ones are active | revoked | expired
+export const VISITOR_STATUSES = ["active", "not_yet_valid", "expired", "revoked"];
+export const VISITOR_AUDITED_FIELDS = [
+  "visitor_type",
+  "first_name",
+  "last_name",
+  "company",
+  "purpose",
+  "email",
+  "contact",
+  "host_employee_id",
+  "valid_from",
+  "valid_until"
+];
+
+// Banner colour for valid visitor badges (verify page and printed badge)
+export const VISITOR_COLOR = "#E65100";
+
+const TEXT_LIMITS = { first_name: 60, last_name: 60, company: 120, purpose: 200, email: 254, contact: 20 };
+
+// Printed badge: no photo, orange banner, host and end date on the front
+export const VISITOR_CARD_TEMPLATE = {
+  code: "VISITOR",
+  name: "Visitor",
+  layout: "text_only",
+  colors: { primary: VISITOR_COLOR, accent: "#FFE0B2" },
+  header_text: "VISITOR",
+  front_fields: [
+    { field: "name", label: "", style: "title", y: null },
+    { field: "position", label: "", style: "text", y: null }, // company
+    { field: "dept", label: "Host", style: "muted", y: null },
+    { field: "valid_until", label: "Valid until", style: "alert", y: null }
+  ],
+  back_fields: [
+    { field: "employee_id", label: "", style: "mono", y: null },
+    { field: "valid_until", label: "Valid until", style: "alert", y: null }
+  ],
+  return_text: "Return this badge to reception",
+  qr: "url",
+  barcode: "code128"
+};
+
+// Status as of `now`: revoked and expired (stored or past valid_until) win,
+// then the window decides between not_yet_valid and active.
+export function effectiveVisitorStatus(doc, now = new Date()) {
+  if (doc.status === "revoked") return "revoked";
+  if (doc.status === "expired" || new Date(doc.valid_until) <= now) return "expired";
+  if (new Date(doc.valid_from) > now) return "not_yet_valid";
+  return "active";
+}
+
+// MongoDB filter for visitors whose effective status is `status` at `now`
+export function visitorStatusFilter(status, now = new Date()) {
+  switch (status) {
+    case "active":
+      return { status: "active", valid_from: { $lte: now }, valid_until: { $gt: now } };
+    case "not_yet_valid":
+      return { status: "active", valid_from: { $gt: now }, valid_until: { $gt: now } };
+    case "expired":
+      return { $or: [{ status: "expired" }, { status: "active", valid_until: { $lte: now } }] };
+    default:
+      return { status };
+  }
+}
+
+// Checked in, not checked out and still inside the window
+export function isOnSite(doc, now = new Date()) {
+  return Boolean(doc.checked_in_at) && !doc.checked_out_at && effectiveVisitorStatus(doc, now) === "active";
+}
+
+export function publicVisitor(doc, now = new Date()) {
+  return {
+    visitor_id: doc.visitor_id,
+    visitor_type: doc.visitor_type,
+    first_name: doc.first_name,
+    last_name: doc.last_name,
+    company: doc.company || "",
+    purpose: doc.purpose,
+    email: doc.email || "",
+    contact: doc.contact || "",
+    host_employee_id: doc.host_employee_id,
+    host_name: doc.host_name || "",
+    valid_from: doc.valid_from,
+    valid_until: doc.valid_until,
+    status: effectiveVisitorStatus(doc, now),
+    stored_status: doc.status,
+    revoked_at: doc.revoked_at || null,
+    revoke_reason: doc.revoke_reason || "",
+    checked_in_at: doc.checked_in_at || null,
+    checked_out_at: doc.checked_out_at || null,
+    auto_checked_out: Boolean(doc.auto_checked_out),
+    on_site: isOnSite(doc, now),
+    created_by: doc.created_by || null,
+    created_at: doc.created_at,
+    updated_at: doc.updated_at
+  };
+}
+
+// What the public verify page and /api/verify show: no purpose or contact details
+export function publicVisitorBadge(doc) {
+  return {
+    visitor_id: doc.visitor_id,
+    visitor_type: doc.visitor_type,
+    name: `${doc.first_name || ""} ${doc.last_name || ""}`.trim(),
+    company: doc.company || "",
+    host_name: doc.host_name || ""
+  };
+}
+
+// Printable fields for lib/card.js, which renders employee-shaped rows
+export function visitorCardRow(doc) {
+  const type = doc.visitor_type === "contractor" ? "Contractor" : "Visitor";
+  return {
+    employee_id: doc.visitor_id,
+    first_name: doc.first_name,
+    last_name: doc.last_name,
+    position: doc.company || type,
+    dept: doc.host_name || doc.host_employee_id,
+    employee_type: doc.visitor_type,
+    valid_from: doc.valid_from,
+    valid_until: doc.valid_until
+  };
+}
+
+// "2026-10-19 17:30 Europe/Berlin": the window matters to the minute, in site time
+export function formatVisitTime(date, timeZone) {
+  const d = new Date(date);
+  const time = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(d);
+  return `${localDate(d, timeZone)} ${time} ${timeZone}`;
+}
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (value === null || value === "" || Number.isNaN(d.getTime())) return { error: `${name} is not a valid date` };
+  return { date: d };
+}
+
+// Read a visitor from a request body. With partial, missing keys are left out
+// (updates). host_employee_id is only normalised here; the route checks it exists.
+// Returns { values } or { error }.
+export function parseVisitorInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  for (const field of ["first_name", "last_name", "purpose"]) {
+    if (body[field] === undefined && partial) continue;
+    const value = String(body[field] || "").trim();
+    if (!value) return { error: `${field} is required` };
+    if (value.length > TEXT_LIMITS[field]) return { error: `${field} must be at most ${TEXT_LIMITS[field]} characters` };
+    values[field] = value;
+  }
+  for (const field of ["company", "email", "contact"]) {
+    if (body[field] === undefined) continue;
+    const value = String(body[field] || "").trim();
+    if (value.length > TEXT_LIMITS[field]) return { error: `${field} must be at most ${TEXT_LIMITS[field]} characters` };
+    if (value && field === "email" && !EMAIL_RE.test(value)) return { error: "email is not a valid email address" };
+    if (value && field === "contact" && !PHONE_RE.test(value)) return { error: "contact is not a valid phone number" };
+    values[field] = field === "email" ? value.toLowerCase() : value;
+  }
+  if (body.visitor_type !== undefined || !partial) {
+    const type = String(body.visitor_type || "visitor").trim().toLowerCase();
+    if (!VISITOR_TYPES.includes(type)) return { error: `visitor_type must be one of ${VISITOR_TYPES.join(", ")}` };
+    values.visitor_type = type;
+  }
+  if (body.host_employee_id !== undefined || !partial) {
+    const host = String(body.host_employee_id || "").trim().toUpperCase();
+    if (!host) return { error: "host_employee_id is required" };
+    values.host_employee_id = host;
+  }
+  if (body.valid_from !== undefined) {
+    const { date, error } = parseDate(body.valid_from, "valid_from");
+    if (error) return { error };
+    values.valid_from = date;
+  }
+  if (body.valid_until !== undefined || !partial) {
+    if (body.valid_until === undefined) return { error: "valid_until is required" };
+    const { date, error } = parseDate(body.valid_until, "valid_until");
+    if (error) return { error };
+    values.valid_until = date;
+  }
+  return { values };
+}
+
+// The window must end after it starts, end in the future and last at most maxDays.
+// Returns null or an error message.
+export function checkVisitWindow({ valid_from, valid_until }, { maxDays, now = new Date() }) {
+  if (valid_until <= valid_from) return "valid_until must be after valid_from";
+  if (valid_until <= now) return "valid_until must be in the future";
+  if (valid_until.getTime() - valid_from.getTime() > maxDays * 24 * 60 * 60 * 1000) {
+    return `A visitor badge may be valid for at most ${maxDays} day(s)`;
+  }
+  return null;
+}
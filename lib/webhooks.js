@@ -0,0 +1,225 @@
+// lib/webhooks.js
+// Outbound webhooks: subscriptions (models/Webhook.js), a persistent delivery
+// queue (models/WebhookDelivery.js) and the worker that drains it.
+//
+// Each POST carries:
+//   X-Webhook-Event:     event name
+//   X-Webhook-Id:        event id (stable across retries and redeliveries, for de-duplication)
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+// Receivers should recompute the HMAC and reject old timestamps.
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+export const WEBHOOK_EVENTS = [
+  "employee.created",
+  "employee.updated",
+  "employee.deleted",
+  "employee.restored",
+  "employee.purged",
+  "photo.changed",
+  "card.status_changed",
+  "card.reissued",
+  "badge.scanned",
+  "visitor.created",
+  "visitor.updated",
+  "visitor.checked_in",
+  "visitor.checked_out",
+  "visitor.revoked",
+  "visitor.expired"
+];
+
+const MAX_LOGGED_ERROR = 500;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+export function publicWebhook(doc) {
+  return {
+    id: doc._id,
+    url: doc.url,
+    description: doc.description || "",
+    events: doc.events,
+    active: doc.active,
+    secret_prefix: String(doc.secret || "").slice(0, 10),
+    created_by: doc.created_by || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function publicDelivery(doc) {
+  return {
+    id: doc._id,
+    webhook_id: doc.webhook_id,
+    event: doc.event,
+    event_id: doc.event_id,
+    status: doc.status,
+    attempts: doc.attempts,
+    next_attempt_at: doc.status === "pending" ? doc.next_attempt_at : null,
+    last_attempt_at: doc.last_attempt_at,
+    last_status_code: doc.last_status_code,
+    last_error: doc.last_error,
+    delivered_at: doc.delivered_at,
+    redelivery_of: doc.redelivery_of || null,
+    attempt_log: doc.attempt_log || [],
+    payload: doc.payload,
+    createdAt: doc.createdAt
+  };
+}
+
+// Read url / description / events / active from a request body. With partial,
+// missing keys are left out (updates). Returns { values } or { error }.
+export function parseWebhookInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ""));
+    } catch {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL" };
+    values.url = url.toString();
+  }
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(e => String(e).trim()))] : [];
+    if (events.length === 0) return { error: `events must list one or more of ${WEBHOOK_EVENTS.join(", ")} (or "*")` };
+    const unknown = events.filter(e => e !== "*" && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) return { error: `Unknown events: ${unknown.join(", ")}` };
+    values.events = events;
+  }
+  if (body.description !== undefined) values.description = String(body.description || "").trim();
+  if (body.active !== undefined) values.active = body.active === true || body.active === "true";
+  return { values };
+}
+
+// Queue `event` for every active subscription that wants it. Failures are
+// logged, not thrown: the change being announced has already happened.
+export async function emitWebhookEvent(event, data) {
+  try {
+    const hooks = await Webhook.find({ active: true, events: { $in: [event, "*"] } }, { _id: 1 }).lean();
+    if (hooks.length === 0) return;
+    const event_id = uuidv4();
+    const payload = { id: event_id, event, created_at: new Date().toISOString(), data };
+    await WebhookDelivery.insertMany(hooks.map(h => ({ webhook_id: h._id, event, event_id, payload })));
+  } catch (err) {
+    console.error(`Webhook enqueue failed (${event}):`, err);
+  }
+}
+
+// Queue a fresh copy of a delivery (same event id and payload)
+export async function redeliver(delivery) {
+  return WebhookDelivery.create({
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    redelivery_of: delivery.redelivery_of || delivery._id
+  });
+}
+
+// Delay before attempt n + 1 (n >= 1): base * 2^(n-1), capped, +-10% jitter
+export function backoffMs(attempts, { baseMs, maxMs }) {
+  const delay = Math.min(baseMs * 2 ** Math.max(0, attempts - 1), maxMs);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+async function attempt(delivery, { timeoutMs }) {
+  const hook = await Webhook.findById(delivery.webhook_id).lean();
+  if (!hook || !hook.active) return { ok: false, final: true, error: "Subscription removed or disabled" };
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  try {
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "id-card-generator-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Signature": signWebhookBody(hook.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+      redirect: "manual"
+    });
+    const duration_ms = Date.now() - started;
+    // the body is never used; cancel it so the socket goes back to the pool now
+    await res.body?.cancel().catch(() => {});
+    if (res.status >= 200 && res.status < 300) return { ok: true, status_code: res.status, duration_ms };
+    return { ok: false, status_code: res.status, duration_ms, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, duration_ms: Date.now() - started, error: String(err.message || err) };
+  }
+}
+
+// Claim and send due deliveries until none are left. Safe with several
+// instances: a delivery is claimed atomically and the claim expires after lockMs.
+export async function processWebhookQueue({ maxAttempts, timeoutMs, baseMs, maxMs }) {
+  const lockMs = timeoutMs * 3;
+  for (;;) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", next_attempt_at: { $lte: now } },
+          { status: "delivering", locked_until: { $lte: now } }
+        ]
+      },
+      { $set: { status: "delivering", locked_until: new Date(now.getTime() + lockMs) } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    ).lean();
+    if (!delivery) return;
+
+    const result = await attempt(delivery, { timeoutMs });
+    const attempts = delivery.attempts + 1;
+    const logEntry = {
+      at: now,
+      status_code: result.status_code || null,
+      error: result.error ? result.error.slice(0, MAX_LOGGED_ERROR) : null,
+      duration_ms: result.duration_ms || 0
+    };
+    const update = {
+      attempts,
+      locked_until: null,
+      last_attempt_at: now,
+      last_status_code: result.status_code || null,
+      last_error: logEntry.error
+    };
+    if (result.ok) {
+      Object.assign(update, { status: "succeeded", delivered_at: new Date() });
+    } else if (result.final || attempts >= maxAttempts) {
+      update.status = "failed";
+    } else {
+      Object.assign(update, { status: "pending", next_attempt_at: new Date(Date.now() + backoffMs(attempts, { baseMs, maxMs })) });
+    }
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update, $push: { attempt_log: { $each: [logEntry], $slice: -maxAttempts } } });
+  }
+}
+
+// Poll the queue every intervalMs (one pass at a time). Returns a stop function.
+export function startWebhookWorker({ intervalMs, ...options }) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processWebhookQueue(options);
+    } catch (err) {
+      console.error("Webhook worker error:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,37 @@
+// models/AccessLog.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Every gate decision (allow and deny). Append-only like the audit log.
+const AccessLogSchema = new Schema(
+  {
+    zone: { type: String, required: true, index: true }, // zone code
+    employee_id: { type: String, default: null, index: true },
+    name: { type: String, default: "" },
+    dept: { type: String, default: "" },
+    position: { type: String, default: "" },
+    device_id: { type: String, default: "" },
+    source: { type: String, default: null }, // barcode | qr_url | qr_token | offline
+    allowed: { type: Boolean, required: true },
+    reason: { type: String, required: true },
+    rule_id: { type: Schema.Types.ObjectId, default: null },
+    at: { type: Date, required: true, index: true }
+  },
+  {
+    versionKey: false
+  }
+);
+
+const refuse = function (next) {
+  next(new Error("Access log is append-only"));
+};
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"]) {
+  AccessLogSchema.pre(op, refuse);
+}
+AccessLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Access log is append-only"));
+  next();
+});
+
+export default model("AccessLog", AccessLogSchema);
@@ -0,0 +1,43 @@
+// models/AccessZone.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// A rule matches when every selector it sets matches (departments AND positions
+// AND employees; any entry within one list). Empty lists match everyone.
+// Deny rules win over allow rules; no matching allow rule = deny.
+const AccessRuleSchema = new Schema(
+  {
+    effect: { type: String, enum: ["allow", "deny"], default: "allow" },
+    departments: { type: [String], default: [] }, // department codes or names
+    positions: { type: [String], default: [] },
+    employees: { type: [String], default: [] }, // employee_ids
+    // optional weekly window in ATTENDANCE_TIMEZONE; end before start wraps past midnight
+    schedule: {
+      type: {
+        _id: false,
+        days: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] }, // 0 = Sunday
+        start: { type: String, default: "00:00" },
+        end: { type: String, default: "24:00" }
+      },
+      default: null
+    },
+    note: { type: String, default: "" }
+  },
+  { _id: true }
+);
+
+const AccessZoneSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+    rules: { type: [AccessRuleSchema], default: [] }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("AccessZone", AccessZoneSchema);
@@ -0,0 +1,26 @@
+// models/ApiKey.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Service-integration keys (X-API-Key header). Only a SHA-256 hash is stored;
+// the plaintext key is shown once when created.
+const ApiKeySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    prefix: { type: String, required: true, index: true }, // first chars, to identify a key in lists/logs
+    key_hash: { type: String, required: true, unique: true },
+    role: {
+      type: String,
+      enum: ["admin", "hr_editor", "viewer", "scanner"],
+      default: "viewer"
+    },
+    active: { type: Boolean, default: true },
+    last_used_at: { type: Date, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("ApiKey", ApiKeySchema);
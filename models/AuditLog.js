@@ -0,0 +1,51 @@
+// models/AuditLog.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Append-only audit trail. Entries are inserted via lib/audit.js and are never
+// updated or deleted (the hooks below refuse it).
+const AuditLogSchema = new Schema(
+  {
+    action: { type: String, required: true, index: true }, // e.g. "employee.updated"
+    entity_type: { type: String, default: "employee" },
+    entity_id: { type: String, index: true }, // employee_id for employee events
+
+    actor: {
+      type: { type: String }, // "user" | "api_key" | "system"
+      id: { type: String },
+      name: { type: String, index: true },
+      role: { type: String }
+    },
+    ip: { type: String },
+
+    // field-level diff; before/after are null when the field did not exist
+    changes: [{
+      _id: false,
+      field: String,
+      before: Schema.Types.Mixed,
+      after: Schema.Types.Mixed
+    }],
+    meta: { type: Schema.Types.Mixed },
+
+    at: { type: Date, default: Date.now, index: true }
+  },
+  {
+    versionKey: false
+  }
+);
+
+AuditLogSchema.index({ entity_type: 1, entity_id: 1, at: -1 });
+
+const refuse = function (next) {
+  next(new Error("Audit log is append-only"));
+};
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"]) {
+  AuditLogSchema.pre(op, refuse);
+}
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit log is append-only"));
+  next();
+});
+
+export default model("AuditLog", AuditLogSchema);
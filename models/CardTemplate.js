@@ -0,0 +1,52 @@
+// models/CardTemplate.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// One line of text on a card side (see CARD_TEMPLATE_FIELDS / CARD_FIELD_STYLES in lib/cardTemplates.js)
+const TemplateFieldSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    label: { type: String, default: "" }, // printed as "Label: value"
+    style: { type: String, default: "text" },
+    y: { type: Number, default: null } // fixed baseline (px on the 638x1011 card); null = below the previous line
+  },
+  { _id: false }
+);
+
+// Badge branding shared by printed cards and the verify page. Unset values
+// (null colours, empty logo_url) fall back to the built-in default template.
+const CardTemplateSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true, match: /^[A-Z0-9_-]{2,32}$/ },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+    active: { type: Boolean, default: true, index: true },
+    is_default: { type: Boolean, default: false }, // used when no other template matches
+
+    // Assignment: department codes and/or employee types (both set = both must match)
+    departments: { type: [String], default: [] },
+    employee_types: { type: [String], default: [] },
+
+    layout: { type: String, default: "classic" },
+    colors: {
+      primary: { type: String, default: null },
+      accent: { type: String, default: null }, // null = department colour
+      background: { type: String, default: null },
+      text: { type: String, default: null },
+      muted: { type: String, default: null }
+    },
+    logo_url: { type: String, default: "" }, // empty = COMPANY_LOGO_URL
+    header_text: { type: String, default: "" }, // front banner; empty = company code
+    front_fields: { type: [TemplateFieldSchema], default: undefined },
+    back_fields: { type: [TemplateFieldSchema], default: undefined },
+    return_text: { type: String, default: null }, // "{COMPANY}" is replaced
+    qr: { type: String, default: "default" }, // default | url | offline | none
+    barcode: { type: String, default: "code128" } // a lib/codes.js symbology | none
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("CardTemplate", CardTemplateSchema);
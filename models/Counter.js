@@ -0,0 +1,19 @@
+// models/Counter.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Atomic sequences, one document per key (e.g. "employee_id:ART-26-ENG-").
+// Incremented with $inc so concurrent creates never get the same value.
+const CounterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: false, updatedAt: "updated_at" }
+  }
+);
+
+export default model("Counter", CounterSchema);
@@ -0,0 +1,28 @@
+// models/Department.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Department registry. `code` goes into new employee IDs and is never derived
+// from the name, so renaming a department leaves issued IDs alone.
+const DepartmentSchema = new Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    name_key: { type: String, required: true, unique: true }, // lowercased name, for case-insensitive lookups
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true, match: /^[A-Z0-9]{2,6}$/ },
+    color: { type: String, default: "#4ED7F1", match: /^#[0-9A-Fa-f]{6}$/ }, // badge accent colour
+    head: { type: String, default: "", trim: true },
+    verify_fields: { type: Schema.Types.Mixed, default: null }, // verify page overrides, see lib/visibility.js
+    active: { type: Boolean, default: true, index: true }
+  },
+  {
+    timestamps: true
+  }
+);
+
+DepartmentSchema.pre("validate", function (next) {
+  if (this.name) this.name_key = this.name.trim().toLowerCase();
+  next();
+});
+
+export default model("Department", DepartmentSchema);
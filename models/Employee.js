@@ -1,73 +1,100 @@
 // models/Employee.js
 import mongoose from "mongoose";
+import { LIST_COLLATION } from "../lib/employeeQuery.js";
+import { CARD_STATUSES } from "../lib/lifecycle.js";
+import { BLOOD_GROUPS, DOB_RE, EMAIL_RE, EMPLOYEE_TYPES, FIELD_LIMITS, PHONE_RE } from "../lib/validation.js";
 
 const { Schema, model, Types } = mongoose;
 
+// Empty values are allowed for every optional field; requests are checked
+// field-by-field in lib/validation.js before they get here. Mongoose only
+// re-validates modified paths, so legacy records with odd values still save.
+function optional(re, message) {
+  return { validator: v => !v || re.test(v), message: props => `${props.value} ${message}` };
+}
+
 const EmployeeSchema = new Schema(
   {
-    // Application / human-friendly ID (e.g. "EMP-000001")
-    employee_id: {
-      type: String,
-      trim: true,
-      unique: true,
-      sparse: true, // allow null docs without employee_id
-      index: true
-    },
+    // Human-friendly ID, generated from ID_TEMPLATE (see lib/employeeId.js)
+    employee_id: { type: String, trim: true, unique: true, index: true },
 
     // Personal info
-    first_name: { type: String, required: true, trim: true },
-    last_name:  { type: String, required: true, trim: true },
-
-    // Work & contact
-    position:   { type: String, trim: true },
-    dept:       { type: String, trim: true },
-    contact:    { type: String, trim: true }, // store as string to preserve leading zeros / +country
-    email:      {
+    first_name: { type: String, required: true, trim: true, maxlength: FIELD_LIMITS.first_name },
+    last_name: { type: String, required: true, trim: true, maxlength: FIELD_LIMITS.last_name },
+    dob: { type: String, trim: true, validate: optional(DOB_RE, "is not a YYYY-MM-DD date") },
+    blood_group: {
       type: String,
       trim: true,
-      lowercase: true,
-      validate: {
-        validator: v => !v || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
-        message: props => `${props.value} is not a valid email`
-      }
+      validate: { validator: v => !v || BLOOD_GROUPS.includes(v), message: props => `${props.value} is not a blood group` }
     },
 
+    // Work & contact
+    position: { type: String, trim: true, maxlength: FIELD_LIMITS.position },
+    dept: { type: String, trim: true, maxlength: FIELD_LIMITS.dept }, // department name (kept in sync with the registry on rename)
+    department_id: { type: Types.ObjectId, ref: "Department", index: true },
+    employee_type: { type: String, enum: EMPLOYEE_TYPES, default: "employee" },
+    contact: { type: String, trim: true, maxlength: FIELD_LIMITS.contact, validate: optional(PHONE_RE, "is not a valid phone number") }, // string keeps leading zeros / +country
+    email: { type: String, trim: true, lowercase: true, maxlength: FIELD_LIMITS.email, validate: optional(EMAIL_RE, "is not a valid email") },
+
     // Address / notes
-    address: { type: String, trim: true },
-    other:   { type: String, trim: true },
+    address: { type: String, trim: true, maxlength: FIELD_LIMITS.address },
+    other: { type: String, trim: true, maxlength: FIELD_LIMITS.other },
 
-    // Dates
-    dob: {
-      type: Date, // store as Date if available; frontend converts DD-MM-YYYY -> YYYY-MM-DD before submit
-      default: null
-    },
+    // Photo (see lib/storage)
+    photo_storage: String, // storage driver holding the photo; unset on old records = cloudinary
+    photo_public_id: String, // driver-specific id
+    photo_url: String, // print-resolution photo
+    photo_thumb_public_id: String, // list-view thumbnail, same driver as the photo
+    photo_thumb_url: String,
+    photo_updated_at: Date, // when the current photo was set; unset on old records = created_at (see lib/renewals.js)
 
-    // Medical / misc
-    blood_group: { type: String, trim: true },
+    // Card lifecycle (see lib/lifecycle.js)
+    card_version: { type: Number, default: 1 }, // bumped on reissue; older QR tokens stop verifying
+    card_issued_at: Date, // falls back to created_at for records from before signing
+    card_status: { type: String, enum: CARD_STATUSES, default: "active" },
+    valid_from: Date,
+    valid_until: Date,
+    card_history: [{
+      _id: false,
+      version: Number,
+      action: String, // issued | reissued | status_changed
+      status: String,
+      reason: String,
+      at: { type: Date, default: Date.now }
+    }],
 
-    // Photo handling (choose one)
-    photo_url: { type: String, trim: true },           // store an externally hosted URL
-    photo_file_id: { type: Types.ObjectId, ref: "fs.files" }, // if using GridFS: ObjectId ref to file
-    photo_file_name: { type: String, trim: true },
+    // Card template code assigned to this employee (overrides department / type matching)
+    card_template: { type: String, default: null },
 
-    // Barcode / QR outputs (optional)
-    qr_data_url: { type: String, trim: true },        // data:... base64 PNG if you store it
-    barcode_data_url: { type: String, trim: true },
+    // Per-employee verify page overrides ({ field: true|false }, see lib/visibility.js)
+    verify_fields: { type: Schema.Types.Mixed, default: null },
 
-    // Optional: store raw base64 if you insist (not recommended for many images)
-    // photo_base64: { type: String } // avoid unless small dataset
+    // soft delete: hidden everywhere until restored or purged after TRASH_RETENTION_DAYS
+    deleted_at: { type: Date, default: null, index: true },
+    deleted_by: String,
 
     // Helpful metadata
-    migrated_from_sqlite_id: { type: Number }, // optional, if you migrated from sqlite manually
-    meta: { type: Schema.Types.Mixed } // free-form for any extra data
+    migrated_from_sqlite_id: { type: Number, unique: true, sparse: true }, // legacy SQLite row id, set by the importer
+    meta: { type: Schema.Types.Mixed }, // free-form for any extra data
+
+    created_at: { type: Date, default: Date.now }
   },
   {
-    timestamps: true // adds createdAt and updatedAt as Date
+    versionKey: false,
+    timestamps: { createdAt: false, updatedAt: "updated_at" }
   }
 );
 
-// Compound index ideas (uncomment if needed)
-// EmployeeSchema.index({ first_name: 1, last_name: 1 });
-// EmployeeSchema.index({ contact: 1 });
+// Relevance search for the employee list (?search=); MongoDB allows one text index per collection
+EmployeeSchema.index(
+  { employee_id: "text", first_name: "text", last_name: "text", email: "text", position: "text", dept: "text" },
+  { name: "employee_text", weights: { employee_id: 10, first_name: 5, last_name: 5, email: 3, position: 1, dept: 1 } }
+);
+
+// List sorts (lib/employeeQuery.js): sort field + _id tie-break, case-insensitive for text
+EmployeeSchema.index({ deleted_at: 1, created_at: -1, _id: -1 });
+for (const field of ["last_name", "first_name", "employee_id", "dept", "position"]) {
+  EmployeeSchema.index({ deleted_at: 1, [field]: 1, _id: 1 }, { collation: LIST_COLLATION });
+}
 
 export default model("Employee", EmployeeSchema);
@@ -0,0 +1,29 @@
+// models/RenewalReminder.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// One renewal reminder email (see lib/renewals.js). Sent reminders stop the
+// same reasons from being mailed again until RENEWAL_REMINDER_REPEAT_DAYS pass;
+// failed ones are retried on the next run.
+const RenewalReminderSchema = new Schema(
+  {
+    employee_id: { type: String, required: true, index: true },
+    reasons: { type: [String], default: [] }, // card_expiring | card_expired | photo_outdated | photo_missing
+    to: { type: [String], default: [] },
+    cc: { type: [String], default: [] },
+    status: { type: String, enum: ["sent", "failed", "skipped"], required: true },
+    error: { type: String, default: null }, // failure message or why it was skipped
+    message_id: { type: String, default: null },
+    valid_until: { type: Date, default: null }, // card expiry at the time of the reminder
+    photo_updated_at: { type: Date, default: null }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: "sent_at", updatedAt: false }
+  }
+);
+
+RenewalReminderSchema.index({ employee_id: 1, status: 1, sent_at: -1 });
+
+export default model("RenewalReminder", RenewalReminderSchema);
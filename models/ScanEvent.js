@@ -0,0 +1,33 @@
+// models/ScanEvent.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// One badge scan from a reader device. Rejected scans are kept too (accepted:
+// false + reason) so security can see attempts with revoked or unknown badges;
+// attendance reports only look at accepted ones. Name / dept are copied at scan
+// time so reports read one collection and show the name as it was that day.
+const ScanEventSchema = new Schema(
+  {
+    employee_id: { type: String, default: null, index: true },
+    name: { type: String, default: "" },
+    dept: { type: String, default: "" },
+    department_id: { type: Schema.Types.ObjectId, ref: "Department", default: null },
+    device_id: { type: String, required: true, trim: true },
+    source: { type: String, enum: ["barcode", "qr_url", "qr_token", "offline"], required: true },
+    direction: { type: String, enum: ["in", "out", null], default: null },
+    scanned_at: { type: Date, required: true }, // device clock
+    accepted: { type: Boolean, required: true },
+    reason: { type: String, default: null }, // why it was rejected
+    raw: { type: String, default: "" } // scanned text (truncated)
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: "received_at", updatedAt: false }
+  }
+);
+
+ScanEventSchema.index({ accepted: 1, scanned_at: 1 });
+ScanEventSchema.index({ employee_id: 1, accepted: 1, scanned_at: -1 });
+
+export default model("ScanEvent", ScanEventSchema);
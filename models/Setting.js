@@ -0,0 +1,19 @@
+// models/Setting.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Admin-editable settings, one document per key (e.g. "verify_fields")
+const SettingSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    value: { type: Schema.Types.Mixed, default: null },
+    updated_by: { type: String, default: null }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: false, updatedAt: "updated_at" }
+  }
+);
+
+export default model("Setting", SettingSchema);
@@ -0,0 +1,32 @@
+// models/SigningKey.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Keys for signed QR codes: HMAC for verify links, Ed25519 for offline payloads.
+// Per algorithm exactly one key is "active" (used to sign); "verify" keys still
+// validate cards issued under them; "retired" keys are rejected outright.
+const SigningKeySchema = new Schema(
+  {
+    kid: { type: String, required: true, unique: true, trim: true },
+    alg: {
+      type: String,
+      enum: ["hmac-sha256", "ed25519"],
+      default: "hmac-sha256"
+    },
+    secret: { type: String, required: true }, // base64 (HMAC key or PKCS#8 DER), never returned by the API
+    public_key: { type: String, default: null }, // ed25519 only: base64url raw 32-byte key
+    status: {
+      type: String,
+      enum: ["active", "verify", "retired"],
+      default: "active",
+      index: true
+    },
+    retired_at: { type: Date, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("SigningKey", SigningKeySchema);
@@ -0,0 +1,24 @@
+// models/User.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Admin UI accounts (username/password login -> JWT)
+const UserSchema = new Schema(
+  {
+    username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    password_hash: { type: String, required: true }, // scrypt, see lib/auth.js
+    role: {
+      type: String,
+      enum: ["admin", "hr_editor", "viewer", "scanner"],
+      default: "viewer"
+    },
+    active: { type: Boolean, default: true },
+    last_login_at: { type: Date, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("User", UserSchema);
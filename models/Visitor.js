@@ -0,0 +1,47 @@
+// models/Visitor.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// A temporary badge for a visitor or contractor. The badge is only valid inside
+// [valid_from, valid_until]; the expiry sweep in server.js marks it expired
+// (checking the visitor out if needed) and MongoDB deletes the record at
+// purge_at (valid_until + VISITOR_RETENTION_DAYS). The audit log keeps the history.
+const VisitorSchema = new Schema(
+  {
+    visitor_id: { type: String, required: true, unique: true }, // e.g. VIS-26-00042-K
+    visitor_type: { type: String, enum: ["visitor", "contractor"], default: "visitor" },
+    first_name: { type: String, required: true, trim: true },
+    last_name: { type: String, required: true, trim: true },
+    company: { type: String, default: "", trim: true },
+    purpose: { type: String, required: true, trim: true },
+    email: { type: String, default: "", trim: true, lowercase: true },
+    contact: { type: String, default: "", trim: true },
+
+    // host employee; the name is copied so the record reads well after the host leaves
+    host_employee_id: { type: String, required: true, index: true },
+    host_name: { type: String, default: "" },
+
+    valid_from: { type: Date, required: true },
+    valid_until: { type: Date, required: true },
+    status: { type: String, enum: ["active", "revoked", "expired"], default: "active" },
+    revoked_at: { type: Date, default: null },
+    revoke_reason: { type: String, default: "" },
+
+    checked_in_at: { type: Date, default: null },
+    checked_out_at: { type: Date, default: null },
+    auto_checked_out: { type: Boolean, default: false }, // checked out by the expiry sweep
+
+    created_by: { type: String, default: null },
+    purge_at: { type: Date, required: true, index: { expires: 0 } }
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" }
+  }
+);
+
+VisitorSchema.index({ status: 1, valid_until: 1 });
+VisitorSchema.index({ checked_in_at: 1, checked_out_at: 1 });
+
+export default model("Visitor", VisitorSchema);
@@ -0,0 +1,22 @@
+// models/Webhook.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// Outbound webhook subscription. The secret signs every delivery
+// (X-Webhook-Signature, see lib/webhooks.js) and is only shown when created.
+const WebhookSchema = new Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+    events: { type: [String], required: true }, // e.g. ["employee.created", "badge.scanned"] or ["*"]
+    secret: { type: String, required: true },
+    active: { type: Boolean, default: true, index: true },
+    created_by: { type: String, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export default model("Webhook", WebhookSchema);
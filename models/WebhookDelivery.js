@@ -0,0 +1,44 @@
+// models/WebhookDelivery.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+// One event for one subscription. This collection is the delivery queue:
+// the worker claims "pending" rows whose next_attempt_at has passed and retries
+// with exponential backoff until it succeeds or runs out of attempts ("failed").
+const WebhookDeliverySchema = new Schema(
+  {
+    webhook_id: { type: Schema.Types.ObjectId, ref: "Webhook", required: true, index: true },
+    event: { type: String, required: true, index: true },
+    event_id: { type: String, required: true }, // same for every subscription receiving the event
+    payload: { type: Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "delivering", "succeeded", "failed"],
+      default: "pending"
+    },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    locked_until: { type: Date, default: null }, // a crashed worker's claim expires
+    last_attempt_at: { type: Date, default: null },
+    last_status_code: { type: Number, default: null },
+    last_error: { type: String, default: null },
+    delivered_at: { type: Date, default: null },
+    redelivery_of: { type: Schema.Types.ObjectId, default: null }, // original delivery for manual redeliveries
+    attempt_log: [{
+      _id: false,
+      at: Date,
+      status_code: Number,
+      error: String,
+      duration_ms: Number
+    }]
+  },
+  {
+    versionKey: false,
+    timestamps: true
+  }
+);
+
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+export default model("WebhookDelivery", WebhookDeliverySchema);
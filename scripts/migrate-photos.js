@@ -0,0 +1,55 @@
+// scripts/migrate-photos.js
+// Usage: npm run migrate:photos -- --from cloudinary --to local [--dry-run] [--keep-source]
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { STORAGE_DRIVERS, createPhotoStorage, storageConfigFromEnv } from "../lib/storage/index.js";
+import { migratePhotos } from "../lib/storage/migrate.js";
+
+dotenv.config();
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function main() {
+  const from = arg("from");
+  const to = arg("to");
+  const dryRun = process.argv.includes("--dry-run");
+  const keepSource = process.argv.includes("--keep-source");
+
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error(`Usage: migrate-photos --from <${STORAGE_DRIVERS.join("|")}> --to <${STORAGE_DRIVERS.join("|")}> [--dry-run] [--keep-source]`);
+    process.exit(2);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error("FATAL: MONGODB_URI is not set. Please set it in environment variables.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const storage = createPhotoStorage({ driver: to, config: storageConfigFromEnv(process.env, { rootDir: ROOT_DIR }) });
+    const report = await migratePhotos({
+      collection: mongoose.connection.collection("employees"),
+      storage,
+      from,
+      to,
+      dryRun,
+      keepSource
+    });
+    console.log(JSON.stringify(report, null, 2));
+    if (report.failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error("Photo migration failed:", err);
+  process.exit(1);
+});
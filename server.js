@@ -4,63 +4,292 @@ import bodyParser from "body-parser";
 import cors from "cors";
 import multer from "multer";
 import { v4 as uuidv4 } from "uuid";
-import QRCode from "qrcode";
-import bwipjs from "bwip-js";
 import mongoose from "mongoose";
-import cloudinary from "cloudinary";
-import streamifier from "streamifier";
+import Employee from "./models/Employee.js";
+import User from "./models/User.js";
+import ApiKey from "./models/ApiKey.js";
+import AuditLog from "./models/AuditLog.js";
+import Department from "./models/Department.js";
+import Setting from "./models/Setting.js";
+import ScanEvent from "./models/ScanEvent.js";
+import AccessZone from "./models/AccessZone.js";
+import AccessLog from "./models/AccessLog.js";
+import Webhook from "./models/Webhook.js";
+import CardTemplate from "./models/CardTemplate.js";
+import WebhookDelivery from "./models/WebhookDelivery.js";
+import Visitor from "./models/Visitor.js";
+import RenewalReminder from "./models/RenewalReminder.js";
 import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ZipArchive } from "archiver";
+import { PhotoRejectedError, normalizePhoto } from "./lib/photo.js";
+import { STORAGE_DRIVERS, createPhotoStorage, storageConfigFromEnv } from "./lib/storage/index.js";
+import {
+  DEFAULT_CARD_TEMPLATE,
+  SAMPLE_EMPLOYEE,
+  parseTemplateInput,
+  pickCardTemplate,
+  publicTemplate,
+  resolveCardTemplate
+} from "./lib/cardTemplates.js";
+import { CARD_SIDES, SHEET_PAPERS, fetchImage, renderCardPdf, renderCardPng, writeCardSheetPdf } from "./lib/card.js";
+import { AUDITED_FIELDS, buildAuditFilter, diffFields, recordAudit } from "./lib/audit.js";
+import {
+  authenticate,
+  ensureAdminUser,
+  generateApiKey,
+  hashPassword,
+  hasPermission,
+  publicApiKey,
+  publicUser,
+  requirePermission,
+  ROLES,
+  signSessionToken,
+  verifyPassword
+} from "./lib/auth.js";
+import { findDepartment, parseDepartmentInput, publicDepartment, resolveEmployeeDept } from "./lib/departments.js";
+import {
+  DEFAULT_VERIFY_VISIBILITY,
+  parseVisibilityOverrides,
+  publicBadgeView,
+  resolveVisibility,
+  VERIFY_FIELDS,
+  VERIFY_SETTING_KEY
+} from "./lib/visibility.js";
+import {
+  BLOOD_GROUPS,
+  EMPLOYEE_FIELDS,
+  EMPLOYEE_TYPES,
+  mongooseFieldErrors,
+  normaliseBloodGroup,
+  validateEmployeeInput,
+  validationFailure
+} from "./lib/validation.js";
+import { CARD_STATUSES, CARD_STATUS_DISPLAY, cardSummary, effectiveCardStatus, parseValidityWindow } from "./lib/lifecycle.js";
+import {
+  advanceSequence,
+  compileIdTemplate,
+  DEFAULT_ID_TEMPLATE,
+  formatEmployeeId,
+  ID_CHECK_ALGORITHMS,
+  nextSequence,
+  sequenceKey,
+  sequenceKeyForParts,
+  sequencePattern,
+  validateEmployeeId
+} from "./lib/employeeId.js";
+import { mapLegacyRow, readLegacyEmployees, readLegacyPhoto } from "./lib/legacyImport.js";
+import {
+  dailyPipeline,
+  firstLastPipeline,
+  groupBy,
+  isValidTimeZone,
+  lateArrivals,
+  localDate,
+  parseReportRange,
+  parseScanPayload,
+  SCAN_DIRECTIONS,
+  toCsv
+} from "./lib/attendance.js";
+import { decodeOfflinePayload, verifyOfflineBadge } from "./lib/offlineVerify.js";
+import { evaluateAccess, parseZoneInput, publicZone } from "./lib/access.js";
+import {
+  emitWebhookEvent,
+  generateWebhookSecret,
+  parseWebhookInput,
+  publicDelivery,
+  publicWebhook,
+  redeliver,
+  startWebhookWorker
+} from "./lib/webhooks.js";
+import {
+  checkVisitWindow,
+  effectiveVisitorStatus,
+  formatVisitTime,
+  parseVisitorInput,
+  publicVisitor,
+  publicVisitorBadge,
+  VISITOR_AUDITED_FIELDS,
+  VISITOR_CARD_TEMPLATE,
+  VISITOR_COLOR,
+  VISITOR_STATUSES,
+  visitorCardRow,
+  visitorStatusFilter
+} from "./lib/visitors.js";
+import { addMonths, findRenewalsDue, RENEWAL_REASONS, renewalSummary, sendRenewalReminders } from "./lib/renewals.js";
+import { createMailer, smtpConfigFromEnv } from "./lib/mailer.js";
+import { codeCacheKey, createCodeCache, parseBarcodeOptions, parseQrOptions, renderBarcode, renderQr } from "./lib/codes.js";
+import { EMPLOYEE_SORT_FIELDS, LIST_COLLATION, cursorClause, decodeCursor, encodeCursor, parseSort, sortSpec } from "./lib/employeeQuery.js";
+import { EXPORT_FORMATS, ExportAbortedError, parseExportFields, streamExport } from "./lib/export.js";
+import { MAX_IMPORT_ROWS, mapRecord, parseEmployeeSheet, readPhotoZip, resolveColumnMapping } from "./lib/import.js";
+import {
+  checkTokenSignature,
+  checkVerifyToken,
+  checkVisitorToken,
+  decodeVerifyToken,
+  ensureSigningKey,
+  getActiveSigningKey,
+  loadSigningKeys,
+  publicKeyInfo,
+  publishedOfflineKeys,
+  retireSigningKey,
+  rotateSigningKey,
+  SIGNING_ALGS,
+  signOfflinePayload,
+  verifyUrlFor,
+  visitorVerifyUrlFor
+} from "./lib/signing.js";
 
 dotenv.config();
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 // App + config
 const app = express();
-// enable CORS (you can restrict origins later)
-app.use(cors());
+// CORS: comma-separated CORS_ORIGINS ("*" allows any origin); unset = same-origin only
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS }));
 app.use(bodyParser.json({ limit: "8mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 const PORT = process.env.PORT || 4000;
 const COMPANY_CODE = process.env.COMPANY_CODE || "ART";
 const MONGODB_URI = process.env.MONGODB_URI || ""; // set in env
-const CLOUDINARY_UPLOAD_FOLDER = process.env.CLOUDINARY_UPLOAD_FOLDER || "Artibots";
+// Employee ID format (tokens documented in lib/employeeId.js) and check character algorithm.
+// ID_ACCEPT_LEGACY_CHECK keeps IDs issued with the old sum-mod-9 digit validating.
+const ID_TEMPLATE = process.env.ID_TEMPLATE || DEFAULT_ID_TEMPLATE;
+const ID_CHECK_ALG = process.env.ID_CHECK_ALG || "iso7064";
+const ID_ACCEPT_LEGACY_CHECK = process.env.ID_ACCEPT_LEGACY_CHECK !== "false";
+// Photo storage backend ("local" | "cloudinary" | "gcs"); optional fallback used when uploads to it fail
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "cloudinary";
+const STORAGE_FALLBACK_DRIVER = process.env.STORAGE_FALLBACK_DRIVER || "";
+const UPLOADS_DIR = path.resolve(__dirname, process.env.UPLOADS_DIR || "uploads");
+// Legacy SQLite database and its photo folder, read by POST /api/admin/legacy-import
+const LEGACY_SQLITE_PATH = path.resolve(__dirname, process.env.LEGACY_SQLITE_PATH || "employees.db");
+const LEGACY_UPLOADS_DIR = path.resolve(__dirname, process.env.LEGACY_UPLOADS_DIR || "uploads");
+// Uploaded photo checks/cropping ("attention" = crop around the most salient region, usually the face)
+const PHOTO_MIN_WIDTH = parseInt(process.env.PHOTO_MIN_WIDTH || "240", 10) || 240;
+const PHOTO_MIN_HEIGHT = parseInt(process.env.PHOTO_MIN_HEIGHT || "290", 10) || 290;
+const PHOTO_CROP = process.env.PHOTO_CROP === "center" ? "center" : "attention";
+// Accept plain /verify/<employee_id> links (pre-signing QR codes) during migration
+const ALLOW_UNSIGNED_VERIFY = process.env.ALLOW_UNSIGNED_VERIFY === "true";
+// What the QR encodes: "url" (signed verify link) or "offline" (Ed25519-signed
+// payload scanners can check without connectivity). Routes accept ?qr_mode= too.
+const QR_MODES = ["url", "offline"];
+const QR_MODE = QR_MODES.includes(process.env.QR_MODE) ? process.env.QR_MODE : "url";
+const OFFLINE_QR_VALID_DAYS = parseInt(process.env.OFFLINE_QR_VALID_DAYS || "365", 10) || 365;
+// Rendered /qr and /barcode downloads kept in memory (per employee + options)
+const CODE_CACHE_MAX_ENTRIES = parseInt(process.env.CODE_CACHE_MAX_ENTRIES || "500", 10) || 500;
+const CODE_CACHE_TTL_SECONDS = parseInt(process.env.CODE_CACHE_TTL_SECONDS || "3600", 10) || 3600;
+const BATCH_MAX_CARDS = parseInt(process.env.BATCH_MAX_CARDS || "500", 10) || 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.PURGE_INTERVAL_MINUTES || "60", 10) || 60;
+// Badge scans: repeat scans of one badge within SCAN_DEDUP_SECONDS are rejected.
+// Attendance days are counted in ATTENDANCE_TIMEZONE; arriving after
+// ATTENDANCE_START_TIME + ATTENDANCE_GRACE_MINUTES counts as late.
+const SCAN_DEDUP_SECONDS = parseInt(process.env.SCAN_DEDUP_SECONDS || "60", 10) || 60;
+const ATTENDANCE_TIMEZONE = process.env.ATTENDANCE_TIMEZONE || "UTC";
+const ATTENDANCE_START_TIME = process.env.ATTENDANCE_START_TIME || "09:00";
+const ATTENDANCE_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_MINUTES || "0", 10) || 0;
+// Outbound webhooks: failed deliveries are retried with exponential backoff
+// (WEBHOOK_RETRY_BASE_SECONDS, doubling, capped at 6h) up to WEBHOOK_MAX_ATTEMPTS.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8", 10) || 8;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10) || 10000;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || "30", 10) || 30;
+const WEBHOOK_POLL_SECONDS = parseInt(process.env.WEBHOOK_POLL_SECONDS || "5", 10) || 5;
+// Visitor badges: IDs are VISITOR_ID_PREFIX-YY-serial-check; a badge may be valid for
+// at most VISITOR_MAX_DAYS and is deleted VISITOR_RETENTION_DAYS after it ends.
+// Expired badges are swept (and their visitors checked out) every VISITOR_SWEEP_MINUTES.
+const VISITOR_ID_PREFIX = (process.env.VISITOR_ID_PREFIX || "VIS").toUpperCase();
+const VISITOR_MAX_DAYS = parseInt(process.env.VISITOR_MAX_DAYS || "14", 10) || 14;
+const VISITOR_RETENTION_DAYS = parseInt(process.env.VISITOR_RETENTION_DAYS || "90", 10) || 90;
+const VISITOR_SWEEP_MINUTES = parseInt(process.env.VISITOR_SWEEP_MINUTES || "5", 10) || 5;
+// Card renewals: new and reissued cards expire after CARD_VALIDITY_MONTHS (0 = no
+// default expiry). At startup and every RENEWAL_CHECK_HOURS (1-168), employees whose
+// card expires within RENEWAL_NOTICE_DAYS, whose photo is older than
+// PHOTO_MAX_AGE_MONTHS or who have no photo are emailed (SMTP_* settings, see lib/mailer.js), at most once per
+// RENEWAL_REMINDER_REPEAT_DAYS for the same reasons. RENEWAL_NOTIFY_TO (comma-separated)
+// is copied on every reminder and receives those for employees without an email.
+const CARD_VALIDITY_MONTHS = parseInt(process.env.CARD_VALIDITY_MONTHS || "24", 10) || 0;
+const PHOTO_MAX_AGE_MONTHS = parseInt(process.env.PHOTO_MAX_AGE_MONTHS || "60", 10) || 60;
+const RENEWAL_NOTICE_DAYS = parseInt(process.env.RENEWAL_NOTICE_DAYS || "30", 10) || 30;
+const RENEWAL_CHECK_HOURS = parseInt(process.env.RENEWAL_CHECK_HOURS || "24", 10) || 24;
+const RENEWAL_REMINDER_REPEAT_DAYS = parseInt(process.env.RENEWAL_REMINDER_REPEAT_DAYS || "7", 10) || 7;
+const RENEWAL_NOTIFY_EMPLOYEES = process.env.RENEWAL_NOTIFY_EMPLOYEES !== "false";
+const RENEWAL_NOTIFY_TO = (process.env.RENEWAL_NOTIFY_TO || "").split(",").map(a => a.trim()).filter(Boolean);
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
 
 // Validate required env at startup
 if (!MONGODB_URI) {
   console.error("FATAL: MONGODB_URI is not set. Please set it in environment variables.");
   process.exit(1);
 }
-if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-  console.warn("Warning: Cloudinary env vars are not fully set. Image upload endpoints will fail until configured.");
-}
-
-// Configure Cloudinary
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-  secure: true
-});
-
-// ---------- Mongoose schema & model ----------
-const employeeSchema = new mongoose.Schema({
-  employee_id: { type: String, unique: true, index: true },
-  first_name: String,
-  last_name: String,
-  address: String,
-  position: String,
-  contact: String,
-  dob: String,
-  blood_group: String,
-  email: String,
-  dept: String,
-  other: String,
-  photo_public_id: String,
-  photo_url: String,
-  created_at: { type: Date, default: Date.now }
-}, { versionKey: false });
-
-const Employee = mongoose.model("Employee", employeeSchema);
+if (!JWT_SECRET) {
+  console.error("FATAL: JWT_SECRET is not set. Please set it in environment variables.");
+  process.exit(1);
+}
+if (CORS_ORIGINS.length === 0) {
+  console.warn("Warning: CORS_ORIGINS is not set. Browsers on other origins cannot call the API.");
+}
+if (!ID_CHECK_ALGORITHMS.includes(ID_CHECK_ALG)) {
+  console.error(`FATAL: unknown ID_CHECK_ALG "${ID_CHECK_ALG}". Use one of ${ID_CHECK_ALGORITHMS.join(", ")}.`);
+  process.exit(1);
+}
+if (!isValidTimeZone(ATTENDANCE_TIMEZONE)) {
+  console.error(`FATAL: unknown ATTENDANCE_TIMEZONE "${ATTENDANCE_TIMEZONE}".`);
+  process.exit(1);
+}
+if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(ATTENDANCE_START_TIME)) {
+  console.error(`FATAL: ATTENDANCE_START_TIME must be HH:MM, got "${ATTENDANCE_START_TIME}".`);
+  process.exit(1);
+}
+let idTemplate;
+try {
+  idTemplate = compileIdTemplate(ID_TEMPLATE);
+} catch (err) {
+  console.error(`FATAL: invalid ID_TEMPLATE "${ID_TEMPLATE}": ${err.message}`);
+  process.exit(1);
+}
+if (!/^[A-Z0-9]{1,8}$/.test(VISITOR_ID_PREFIX)) {
+  console.error(`FATAL: VISITOR_ID_PREFIX must be 1-8 letters or digits, got "${VISITOR_ID_PREFIX}".`);
+  process.exit(1);
+}
+const visitorIdTemplate = compileIdTemplate(`${VISITOR_ID_PREFIX}-{YY}-{SERIAL:5}-{CHECK}`);
+// a visitor ID must never pass for an employee ID (barcode scans carry only the ID)
+if (idTemplate.regex.test(formatEmployeeId(visitorIdTemplate, { serial: 1, alg: ID_CHECK_ALG }))) {
+  console.error(`FATAL: visitor IDs with prefix "${VISITOR_ID_PREFIX}" look like employee IDs (ID_TEMPLATE). Choose another VISITOR_ID_PREFIX.`);
+  process.exit(1);
+}
+// setInterval overflows (and fires every 1ms) past ~596 hours
+if (RENEWAL_CHECK_HOURS < 1 || RENEWAL_CHECK_HOURS > 168) {
+  console.error(`FATAL: RENEWAL_CHECK_HOURS must be between 1 and 168, got ${RENEWAL_CHECK_HOURS}.`);
+  process.exit(1);
+}
+for (const name of [STORAGE_DRIVER, STORAGE_FALLBACK_DRIVER].filter(Boolean)) {
+  if (!STORAGE_DRIVERS.includes(name)) {
+    console.error(`FATAL: unknown storage driver "${name}". Use one of ${STORAGE_DRIVERS.join(", ")}.`);
+    process.exit(1);
+  }
+}
+
+// Renewal reminders (null = SMTP not configured; the dashboard still works)
+const mailer = createMailer(smtpConfigFromEnv());
+if (!mailer) console.warn("Warning: SMTP_HOST is not set. Card renewal reminders will not be emailed.");
+
+const codeCache = createCodeCache({ maxEntries: CODE_CACHE_MAX_ENTRIES, ttlMs: CODE_CACHE_TTL_SECONDS * 1000 });
+
+// Photo storage (drivers are created on first use)
+const photoStorage = createPhotoStorage({
+  driver: STORAGE_DRIVER,
+  fallback: STORAGE_FALLBACK_DRIVER,
+  config: storageConfigFromEnv(process.env, { rootDir: __dirname })
+});
+
+// Photos stored by the local driver are served by the app (public, like the verify page)
+app.use("/uploads", express.static(UPLOADS_DIR, { maxAge: "7d", index: false }));
 
 // ---------- Multer (memory) ----------
 const upload = multer({
@@ -73,6 +302,18 @@ const upload = multer({
   }
 });
 
+// Bulk import: one CSV/XLSX sheet ("file") plus an optional photo ZIP ("photos")
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50 MB
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    const allowed = file.fieldname === "photos" ? [".zip"] : [".csv", ".xlsx"];
+    if (allowed.includes(ext)) cb(null, true);
+    else cb(new Error(`Unsupported file type for ${file.fieldname}`));
+  }
+});
+
 // ---------- Helpers ----------
 function escapeRegExp(string) {
   return String(string || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -87,71 +328,191 @@ function escapeHtml(unsafe) {
     .replace(/'/g, "&#039;");
 }
 
+// Parse a YYYY-MM-DD / ISO date query value; invalid values are ignored
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(str) && endOfDay ? `${str}T23:59:59.999Z` : str);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Comma-separated list param -> trimmed non-empty values
+function listParam(value) {
+  return String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// Shared employee search filter; never matches trashed records. Params:
+//   q (substring of ID / name / email / contact), search (text index, whole words),
+//   dept, position, blood_group, employee_type, card_status (comma lists, case-insensitive),
+//   department_id, has_photo (true | false), created_from, created_to
+// Returns { filter } or { error }.
+function buildEmployeeFilter(query = {}) {
+  const clauses = [{ deleted_at: null }];
+  const q = String(query.q || "").trim();
+  if (q) {
+    const like = new RegExp(escapeRegExp(q), "i");
+    clauses.push({
+      $or: [
+        { employee_id: like },
+        { first_name: like },
+        { last_name: like },
+        { email: like },
+        { contact: like }
+      ]
+    });
+  }
+  const search = String(query.search || "").trim();
+  if (search) clauses.push({ $text: { $search: search } });
+
+  const anyOf = (field, values) => {
+    clauses.push({ $or: values.map(v => ({ [field]: { $regex: `^${escapeRegExp(v)}$`, $options: "i" } })) });
+  };
+  const depts = listParam(query.dept);
+  if (depts.length > 0) anyOf("dept", depts);
+  const positions = listParam(query.position);
+  if (positions.length > 0) anyOf("position", positions);
+  if (query.department_id) clauses.push({ department_id: query.department_id });
+
+  // an unencoded "+" arrives as a space: "A+,O-" -> "A ,O-"
+  const bloodGroups = String(query.blood_group || "").split(",").filter(v => v.trim()).map(v => normaliseBloodGroup(v.replace(/ $/, "+")));
+  const badGroup = bloodGroups.find(g => !BLOOD_GROUPS.includes(g));
+  if (badGroup) return { error: `blood_group must be one of ${BLOOD_GROUPS.join(", ")}` };
+  if (bloodGroups.length > 0) clauses.push({ blood_group: { $in: bloodGroups } });
+
+  const types = listParam(query.employee_type).map(t => t.toLowerCase());
+  if (types.some(t => !EMPLOYEE_TYPES.includes(t))) return { error: `employee_type must be one of ${EMPLOYEE_TYPES.join(", ")}` };
+  // records from before employee types have none and count as "employee"
+  if (types.length > 0) clauses.push({ employee_type: { $in: types.includes("employee") ? [...types, null] : types } });
+
+  const statuses = listParam(query.card_status).map(t => t.toLowerCase());
+  if (statuses.some(t => !CARD_STATUSES.includes(t))) return { error: `card_status must be one of ${CARD_STATUSES.join(", ")}` };
+  // stored status only; a lapsed valid_until does not count as "expired" here
+  if (statuses.length > 0) clauses.push({ card_status: { $in: statuses.includes("active") ? [...statuses, null] : statuses } });
+
+  if (query.has_photo !== undefined && query.has_photo !== "") {
+    const hasPhoto = String(query.has_photo).toLowerCase();
+    if (!["true", "false"].includes(hasPhoto)) return { error: "has_photo must be true or false" };
+    clauses.push(hasPhoto === "true" ? { photo_url: { $nin: [null, ""] } } : { photo_url: { $in: [null, ""] } });
+  }
+
+  const from = parseDateParam(query.created_from);
+  const to = parseDateParam(query.created_to, true);
+  if (query.created_from && !from) return { error: "created_from is not a valid date" };
+  if (query.created_to && !to) return { error: "created_to is not a valid date" };
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    clauses.push({ created_at: range });
+  }
+
+  return { filter: clauses.length === 1 ? clauses[0] : { $and: clauses } };
+}
+
+// buildEmployeeFilter plus ?department=<code, name or id> resolved against the registry.
+// Returns { filter } or { error }.
+async function resolveEmployeeFilter(query = {}) {
+  if (!query.department) return buildEmployeeFilter(query);
+  const department = await findDepartment(query.department);
+  if (!department) return { error: `Unknown department "${query.department}"` };
+  return buildEmployeeFilter({ ...query, department_id: department._id });
+}
+
+// ID prefix for departments outside the registry (records from before it existed)
 function deptCode(dept) {
   if (!dept) return "GEN";
   return dept.toUpperCase().replace(/[^A-Z]/g, "").slice(0, 3).padEnd(3, "X");
 }
 
-function checksumDigit(s) {
-  const digits = s.split("").map(ch => String(ch.charCodeAt(0))).join("");
-  let sum = 0;
-  for (const d of digits) sum += Number(d || 0);
-  return String(sum % 9);
+// Same email, same contact, or same name + dob (case-insensitive names).
+// Clauses are only built for non-empty inputs; excludeId skips the record being edited.
+async function findDuplicateEmployee({ email, contact, first_name, last_name, dob }, excludeId = null) {
+  const orClauses = [];
+  // case-insensitive: emails stored before they were lowercased keep their case
+  if (email && email.trim()) orClauses.push({ email: { $regex: `^${escapeRegExp(email.trim())}$`, $options: "i" } });
+  if (contact && contact.trim()) orClauses.push({ contact: contact.trim() });
+  if (first_name && last_name && dob) {
+    orClauses.push({
+      $and: [
+        { first_name: { $regex: `^${escapeRegExp(first_name)}$`, $options: "i" } },
+        { last_name: { $regex: `^${escapeRegExp(last_name)}$`, $options: "i" } },
+        { dob }
+      ]
+    });
+  }
+  if (orClauses.length === 0) return null;
+
+  const filter = { $or: orClauses };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Employee.findOne(filter).lean();
 }
 
-async function generateEmployeeId({ dept }) {
-  const year = new Date().getFullYear();
-  const yy = String(year).slice(-2);
-  const dcode = deptCode(dept);
+function duplicateError(duplicate) {
+  const msg = "Duplicate employee detected! Same email, contact, or name with DOB already exists.";
+  return duplicate && duplicate.deleted_at ? `${msg} (${duplicate.employee_id} is in the trash; restore it instead.)` : msg;
+}
 
-  // find last for this pattern
-  const regex = new RegExp(`^${COMPANY_CODE}-${yy}-${dcode}-\\d{6}-\\d$`);
-  const last = await Employee.findOne({ employee_id: { $regex: regex } }).sort({ created_at: -1 }).lean();
+// Next ID from the per-sequence counter (company + year + dept for the default
+// template). A new counter starts after the highest serial already issued,
+// trashed records included.
+async function generateEmployeeId({ dept, department }) {
+  const scope = { company: COMPANY_CODE, dept: department ? department.code : deptCode(dept), date: new Date() };
+  const pattern = sequencePattern(idTemplate, scope);
+  const serial = await nextSequence(sequenceKey(idTemplate, scope), async () => {
+    let max = 0;
+    for await (const r of Employee.find({ employee_id: { $regex: pattern } }, { employee_id: 1 }).lean()) {
+      max = Math.max(max, parseInt(r.employee_id.match(pattern)[1], 10) || 0);
+    }
+    return max;
+  });
+  return formatEmployeeId(idTemplate, { ...scope, serial, alg: ID_CHECK_ALG });
+}
 
-  let lastSerial = 0;
-  if (last && last.employee_id) {
-    const parts = last.employee_id.split("-");
-    // parts: [COMPANY, YY, DCODE, SERIAL, CHK]
-    lastSerial = parseInt(parts[3] || "0", 10) || 0;
+// Can an ID from elsewhere (legacy database) be kept as is? Accepts the current
+// template and the original fixed format with its sum-mod-9 digit. For IDs in the
+// current format, also returns the counter to advance past its serial.
+const legacyIdTemplate = compileIdTemplate(DEFAULT_ID_TEMPLATE);
+function checkExternalEmployeeId(id) {
+  if (!id) return { valid: false };
+  const current = validateEmployeeId(idTemplate, id, { alg: ID_CHECK_ALG, company: COMPANY_CODE, acceptLegacy: true });
+  if (current.valid) {
+    return { valid: true, sequenceKey: sequenceKeyForParts(idTemplate, current.parts), serial: parseInt(current.parts.serial, 10) };
   }
+  return { valid: validateEmployeeId(legacyIdTemplate, id, { alg: "legacy", company: COMPANY_CODE }).valid };
+}
 
-  const nextSerial = lastSerial + 1;
-  const serialStr = String(nextSerial).padStart(6, "0");
-  const raw = `${COMPANY_CODE}-${yy}-${dcode}-${serialStr}`;
-  const chk = checksumDigit(raw);
-  return `${raw}-${chk}`;
+// Next visitor ID (VIS-26-00042-K): one sequence per prefix and year, seeded
+// from the visitors still on record
+async function generateVisitorId() {
+  const scope = { date: new Date() };
+  const pattern = sequencePattern(visitorIdTemplate, scope);
+  const year = String(scope.date.getFullYear()).slice(-2);
+  const serial = await nextSequence(`visitor_id:${VISITOR_ID_PREFIX}-${year}`, async () => {
+    let max = 0;
+    for await (const v of Visitor.find({ visitor_id: { $regex: pattern } }, { visitor_id: 1 }).lean()) {
+      max = Math.max(max, parseInt(v.visitor_id.match(pattern)[1], 10) || 0);
+    }
+    return max;
+  });
+  return formatEmployeeId(visitorIdTemplate, { ...scope, serial, alg: ID_CHECK_ALG });
 }
 
+// Default-option PNGs (API responses and printed cards); the /qr and /barcode
+// download routes take their own options, see lib/codes.js
 async function makeQRDataURL(text) {
-  return await QRCode.toDataURL(text, { errorCorrectionLevel: "M", type: "image/png" });
+  return `data:image/png;base64,${(await makeQRCodeBuffer(text)).toString("base64")}`;
 }
 
 async function makeQRCodeBuffer(text) {
-  return await QRCode.toBuffer(text, { errorCorrectionLevel: "M", type: "png" });
+  return (await renderQr(text)).body;
 }
 
 async function makeBarcodeDataURL(text) {
-  const png = await bwipjs.toBuffer({
-    bcid: "code128",
-    text,
-    scale: 3,
-    height: 12,
-    includetext: false,
-    textxalign: "center"
-  });
-  return `data:image/png;base64,${png.toString("base64")}`;
+  return `data:image/png;base64,${(await makeBarcodeBuffer(text)).toString("base64")}`;
 }
 
-async function makeBarcodeBuffer(text) {
-  const png = await bwipjs.toBuffer({
-    bcid: "code128",
-    text,
-    scale: 3,
-    height: 12,
-    includetext: false,
-    textxalign: "center"
-  });
-  return png;
+async function makeBarcodeBuffer(text, symbology = "code128") {
+  return (await renderBarcode(text, { symbology })).body;
 }
 
 function getBaseUrl(req) {
@@ -160,94 +521,222 @@ function getBaseUrl(req) {
   return `${proto}://${host}`;
 }
 
-function uploadBufferToCloudinary(buffer, originalName) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      folder: CLOUDINARY_UPLOAD_FOLDER,
-      use_filename: true,
-      unique_filename: true,
-      resource_type: "image",
-      transformation: [{ width: 2000, crop: "limit" }]
-    };
+// Signed public verify URL for an employee's current card
+async function buildVerifyUrl(req, row) {
+  const key = await getActiveSigningKey();
+  return verifyUrlFor(getBaseUrl(req), row, key);
+}
 
-    const uploadStream = cloudinary.v2.uploader.upload_stream(options, (err, result) => {
-      if (err) return reject(err);
-      resolve(result);
-    });
+// Signed public verify URL for a visitor badge (visitor QR codes are always links)
+async function buildVisitorVerifyUrl(req, visitor) {
+  const key = await getActiveSigningKey();
+  return visitorVerifyUrlFor(getBaseUrl(req), visitor, key);
+}
 
-    streamifier.createReadStream(buffer).pipe(uploadStream);
-  });
+// Validate a qr_mode parameter (falls back to QR_MODE); null when invalid
+function parseQrMode(value) {
+  const mode = String(value || QR_MODE).toLowerCase();
+  return QR_MODES.includes(mode) ? mode : null;
+}
+
+// Text encoded in an employee's QR code for the given mode
+async function buildQrContent(req, row, mode = QR_MODE) {
+  if (mode === "offline") {
+    const key = await getActiveSigningKey("ed25519");
+    // the offline window opens at issue, or at valid_from when that is later
+    let validFrom = new Date(row.card_issued_at || row.created_at || Date.now());
+    if (row.valid_from && new Date(row.valid_from) > validFrom) validFrom = new Date(row.valid_from);
+    let validUntil = new Date(validFrom.getTime() + OFFLINE_QR_VALID_DAYS * DAY_MS);
+    if (row.valid_until && new Date(row.valid_until) < validUntil) validUntil = new Date(row.valid_until);
+    return signOfflinePayload(row, key, { validFrom, validUntil });
+  }
+  return buildVerifyUrl(req, row);
+}
+
+// Departments (id -> code / colour), active card templates and a logo cache,
+// loaded once per request and shared by every card rendered in it
+async function loadCardContext() {
+  const [departments, templates] = await Promise.all([
+    Department.find({}, { code: 1, color: 1 }).lean(),
+    CardTemplate.find({ active: true }).lean()
+  ]);
+  return { departments: new Map(departments.map(d => [String(d._id), d])), templates, logos: new Map() };
+}
+
+// Resolved card template for an employee (see pickCardTemplate for precedence)
+async function cardTemplateFor(row, context) {
+  const ctx = context || (await loadCardContext());
+  const department = row.department_id ? ctx.departments.get(String(row.department_id)) : null;
+  const doc = pickCardTemplate(ctx.templates, row, { deptCode: department ? department.code : null });
+  return resolveCardTemplate(doc, { deptColor: department ? department.color : null });
+}
+
+function cardLogo(template, context) {
+  const url = template.logo_url || process.env.COMPANY_LOGO_URL;
+  if (!url) return null;
+  if (!context.logos.has(url)) context.logos.set(url, fetchImage(url));
+  return context.logos.get(url);
+}
+
+// Everything the card renderer needs for one employee (template, codes + remote images).
+// qrMode forces a QR variant; otherwise the template's (or QR_MODE) is used.
+// Pass a shared context when rendering many cards.
+async function buildCardData(row, req, { context, template, qrMode = null } = {}) {
+  const ctx = context || (await loadCardContext());
+  const tpl = template || (await cardTemplateFor(row, ctx));
+  const mode = tpl.qr === "none" ? null : qrMode || (tpl.qr === "default" ? QR_MODE : tpl.qr);
+  const [qr, barcode, photo, logo] = await Promise.all([
+    mode ? buildQrContent(req, row, mode).then(makeQRCodeBuffer) : null,
+    tpl.barcode === "none" ? null : makeBarcodeBuffer(row.employee_id, tpl.barcode),
+    fetchImage(row.photo_url),
+    cardLogo(tpl, ctx)
+  ]);
+  return { employee: row, companyCode: COMPANY_CODE, qr, barcode, photo, logo, template: tpl };
+}
+
+// Effective verify page field visibility for one employee (global <- department <- employee)
+async function verifyVisibilityFor(row) {
+  const [setting, department] = await Promise.all([
+    Setting.findById(VERIFY_SETTING_KEY).lean(),
+    row.department_id ? Department.findById(row.department_id, { verify_fields: 1 }).lean() : null
+  ]);
+  return resolveVisibility(setting && setting.value, department && department.verify_fields, row.verify_fields);
+}
+
+// Expiry for a card valid from `from` (null when CARD_VALIDITY_MONTHS is 0)
+function defaultCardExpiry(from) {
+  return CARD_VALIDITY_MONTHS > 0 ? addMonths(from, CARD_VALIDITY_MONTHS) : null;
+}
+
+// Employee photo fields with no photo set
+const NO_PHOTO = {
+  photo_storage: null,
+  photo_public_id: null,
+  photo_url: null,
+  photo_thumb_public_id: null,
+  photo_thumb_url: null,
+  photo_updated_at: null
+};
+
+// Photo fields for a photo given by URL (not stored by us); "" / null = no photo
+function photoFromUrl(url) {
+  return { ...NO_PHOTO, photo_url: url || null, photo_updated_at: url ? new Date() : null };
+}
+
+function photoOptions() {
+  return { minWidth: PHOTO_MIN_WIDTH, minHeight: PHOTO_MIN_HEIGHT, crop: PHOTO_CROP };
 }
 
-async function deleteCloudinaryImage(public_id) {
-  if (!public_id) return;
+// Normalise an uploaded photo (rotate, strip metadata, crop, resize) and store
+// the print and thumbnail sizes. Throws PhotoRejectedError for unusable images.
+async function storeEmployeePhoto(buffer, filename = "photo") {
+  const { print, thumb } = await normalizePhoto(buffer, photoOptions());
+  const base = path.parse(filename).name || "photo";
+  const stored = await photoStorage.putPhoto(print, { filename: `${base}.jpg`, contentType: "image/jpeg" });
   try {
-    await cloudinary.v2.uploader.destroy(public_id, { resource_type: "image" });
+    // thumbnail goes to whichever driver took the print (it may have been the fallback)
+    const t = await photoStorage.driver(stored.photo_storage).put(thumb, { filename: `${base}-thumb.jpg`, contentType: "image/jpeg" });
+    return { ...stored, photo_thumb_public_id: t.id, photo_thumb_url: t.url, photo_updated_at: new Date() };
   } catch (err) {
-    console.warn("Cloudinary delete failed:", err.message || err);
+    await photoStorage.deletePhoto(stored);
+    throw err;
+  }
+}
+
+async function deleteEmployeePhotos(doc) {
+  await photoStorage.deletePhoto(doc);
+  if (doc.photo_thumb_public_id) {
+    await photoStorage.deletePhoto({ photo_storage: doc.photo_storage, photo_public_id: doc.photo_thumb_public_id });
   }
 }
 
+// Employee snapshot sent with webhook events
+function webhookEmployee(row) {
+  return {
+    employee_id: row.employee_id,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    position: row.position || "",
+    dept: row.dept || "",
+    department_id: row.department_id || null,
+    employee_type: row.employee_type || "employee",
+    email: row.email || "",
+    photo_url: row.photo_url || null,
+    photo_thumb_url: row.photo_thumb_url || null,
+    card: cardSummary(row),
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+    deleted_at: row.deleted_at || null
+  };
+}
+
+// ---------- Auth ----------
+// Everything under /api needs a JWT or API key except login; /verify and /.well-known stay public.
+app.use("/api", authenticate({ secret: JWT_SECRET, publicPaths: ["/auth/login", "/verify/"] }));
+
 // ---------- Routes ----------
 
+// Login (username/password -> JWT)
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username = "", password = "" } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: "username and password are required" });
+    }
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    if (!user || !user.active || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ success: false, error: "Invalid username or password" });
+    }
+    user.last_login_at = new Date();
+    await user.save();
+
+    const token = signSessionToken(user, { secret: JWT_SECRET, expiresIn: JWT_EXPIRES_IN });
+    res.json({ success: true, token, expiresIn: JWT_EXPIRES_IN, user: publicUser(user) });
+  } catch (err) {
+    console.error("POST /api/auth/login error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Current caller
+app.get("/api/auth/me", (req, res) => {
+  res.json({ success: true, auth: req.auth });
+});
+
+
 // Create employee
-app.post("/api/employees", upload.single("photo"), async (req, res) => {
+app.post("/api/employees", requirePermission("employees:write"), upload.single("photo"), async (req, res) => {
   try {
     const payload = req.body || {};
-    const {
-      first_name = "",
-      last_name = "",
-      address = "",
-      position = "",
-      contact = "",
-      dob = "",
-      blood_group = "",
-      email = "",
-      dept = "",
-      other = "",
-      photoUrl = ""
-    } = payload;
-
-    if (!first_name || !last_name) {
-      return res.status(400).json({ success: false, error: "first_name and last_name are required" });
-    }
-
-    // Build duplicate-check clauses only for non-empty inputs
-    const orClauses = [];
-    if (email && email.trim()) orClauses.push({ email: email.trim() });
-    if (contact && contact.trim()) orClauses.push({ contact: contact.trim() });
-    if (first_name && last_name && dob) {
-      orClauses.push({
-        $and: [
-          { first_name: { $regex: `^${escapeRegExp(first_name)}$`, $options: "i" } },
-          { last_name: { $regex: `^${escapeRegExp(last_name)}$`, $options: "i" } },
-          { dob }
-        ]
-      });
-    }
+    const photoUrl = payload.photoUrl || "";
+    const { values, errors } = validateEmployeeInput(payload);
+    if (errors.length > 0) return res.status(400).json(validationFailure(errors));
+    const { first_name, last_name, address, position, contact, dob, blood_group, email, dept, employee_type, other } = values;
 
-    let duplicate = null;
-    if (orClauses.length > 0) {
-      duplicate = await Employee.findOne({ $or: orClauses }).lean();
-    }
+    const validity = parseValidityWindow(payload);
+    if (validity.error) return res.status(400).json({ success: false, error: validity.error });
+
+    const resolved = await resolveEmployeeDept(dept);
+    if (resolved.error) return res.status(400).json({ success: false, error: resolved.error });
 
+    const duplicate = await findDuplicateEmployee({ email, contact, first_name, last_name, dob });
     if (duplicate) {
-      return res.status(400).json({ success: false, error: "Duplicate employee detected! Same email, contact, or name with DOB already exists." });
+      return res.status(400).json({ success: false, error: duplicateError(duplicate) });
     }
 
-    const employee_id = await generateEmployeeId({ dept });
+    const employee_id = await generateEmployeeId(resolved);
     const created_at = new Date();
 
-    let photo_url = photoUrl || null;
-    let photo_public_id = null;
+    let photo = photoFromUrl(photoUrl);
 
-    if (!photo_url && req.file && req.file.buffer) {
+    if (!photo.photo_url && req.file && req.file.buffer) {
       try {
-        const result = await uploadBufferToCloudinary(req.file.buffer, req.file.originalname);
-        photo_public_id = result.public_id;
-        photo_url = result.secure_url;
+        photo = await storeEmployeePhoto(req.file.buffer, req.file.originalname);
       } catch (err) {
-        console.error("Cloudinary upload failed:", err);
+        if (err instanceof PhotoRejectedError) {
+          return res.status(400).json({ success: false, error: `Photo rejected: ${err.message}` });
+        }
+        console.error("Photo upload failed:", err);
         return res.status(500).json({ success: false, error: "Image upload failed", details: String(err) });
       }
     }
@@ -262,18 +751,27 @@ app.post("/api/employees", upload.single("photo"), async (req, res) => {
       dob,
       blood_group,
       email,
-      dept,
+      dept: resolved.dept,
+      department_id: resolved.department ? resolved.department._id : null,
+      employee_type,
       other,
-      photo_public_id,
-      photo_url,
+      ...photo,
+      card_issued_at: created_at,
+      card_status: "active",
+      valid_from: validity.valid_from,
+      // no valid_until in the request = default expiry; "" / null = never expires
+      valid_until: payload.valid_until === undefined ? defaultCardExpiry(validity.valid_from || created_at) : validity.valid_until,
+      card_history: [{ version: 1, action: "issued", status: "active", at: created_at }],
       created_at
     });
 
     await doc.save();
+    await recordAudit(req, { action: "employee.created", entity_id: employee_id, changes: diffFields({}, doc.toObject()) });
+    await emitWebhookEvent("employee.created", { employee: webhookEmployee(doc.toObject()) });
 
-    const verifyUrl = `${getBaseUrl(req)}/verify/${encodeURIComponent(employee_id)}`;
+    const verifyUrl = await buildVerifyUrl(req, doc);
     const [qrDataUrl, barcodeDataUrl] = await Promise.all([
-      makeQRDataURL(verifyUrl),
+      makeQRDataURL(await buildQrContent(req, doc, parseQrMode(req.query.qr_mode) || QR_MODE)),
       makeBarcodeDataURL(employee_id)
     ]);
 
@@ -284,22 +782,211 @@ app.post("/api/employees", upload.single("photo"), async (req, res) => {
       qrDataUrl,
       barcodeDataUrl,
       verifyUrl,
-      photoUrl: photo_url || null
+      photoUrl: photo.photo_url || null
     });
   } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json(validationFailure(mongooseFieldErrors(err)));
     console.error("POST /api/employees error:", err);
     res.status(500).json({ success: false, error: String(err) });
   }
 });
 
+// Bulk import from CSV/XLSX (multipart: file, photos?, mapping?, dryRun?)
+// dryRun defaults to true: every row is validated and reported, nothing is written.
+// Send dryRun=false to insert the rows that pass. Photos come from a photo_url column
+// or a photo_file column naming an image inside the uploaded ZIP.
+app.post("/api/employees/import", requirePermission("employees:write"), importUpload.fields([{ name: "file", maxCount: 1 }, { name: "photos", maxCount: 1 }]), async (req, res) => {
+  try {
+    const sheet = req.files && req.files.file && req.files.file[0];
+    if (!sheet) return res.status(400).json({ success: false, error: "file (CSV or XLSX) is required" });
+
+    const dryRunParam = req.query.dryRun ?? (req.body && req.body.dryRun) ?? "true";
+    const dryRun = !["false", "0", "no"].includes(String(dryRunParam).toLowerCase());
+
+    let explicitMapping = {};
+    if (req.body && req.body.mapping) {
+      try {
+        explicitMapping = typeof req.body.mapping === "string" ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch {
+        return res.status(400).json({ success: false, error: "mapping must be a JSON object of { column: field }" });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = await parseEmployeeSheet(sheet.buffer, sheet.originalname);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: `Could not read upload: ${err.message || err}` });
+    }
+
+    if (parsed.records.length === 0) {
+      return res.status(400).json({ success: false, error: "No data rows found" });
+    }
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, error: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` });
+    }
+
+    const { mapping, unmapped } = resolveColumnMapping(parsed.headers, explicitMapping);
+    const mappedFields = Object.values(mapping);
+    if (!mappedFields.includes("first_name") || !mappedFields.includes("last_name")) {
+      return res.status(400).json({ success: false, error: "Could not find first_name and last_name columns", mapping, unmapped_columns: unmapped });
+    }
+
+    // only the photos some row asks for are decompressed
+    let photos;
+    try {
+      const names = new Set();
+      for (const { record } of parsed.records) {
+        const { photo_file } = mapRecord(record, mapping);
+        if (photo_file) names.add(path.basename(photo_file).toLowerCase());
+      }
+      photos = readPhotoZip(req.files.photos && req.files.photos[0] && req.files.photos[0].buffer, { names });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: `Could not read upload: ${err.message || err}` });
+    }
+
+    // catch duplicates within the file itself, not only against the database
+    const seen = { email: new Map(), contact: new Map(), nameDob: new Map() };
+    const report = [];
+
+    for (const { row, record } of parsed.records) {
+      const fields = mapRecord(record, mapping);
+      const entry = { row, status: "valid", errors: [], first_name: fields.first_name || "", last_name: fields.last_name || "" };
+      report.push(entry);
+
+      const checked = validateEmployeeInput(fields);
+      Object.assign(fields, checked.values);
+      if (checked.errors.length > 0) {
+        entry.field_errors = checked.errors;
+        entry.errors.push(...checked.errors.map(e => e.message));
+      }
+      const resolved = await resolveEmployeeDept(fields.dept);
+      if (resolved.error) entry.errors.push(resolved.error);
+      else fields.dept = resolved.dept;
+      if (fields.photo_file) {
+        const buffer = photos.get(path.basename(fields.photo_file).toLowerCase());
+        if (!buffer) {
+          entry.errors.push(`photo_file "${fields.photo_file}" not found in photos ZIP`);
+        } else {
+          try {
+            await normalizePhoto(buffer, photoOptions());
+          } catch (err) {
+            if (!(err instanceof PhotoRejectedError)) throw err;
+            entry.errors.push(`Photo rejected: ${err.message}`);
+          }
+        }
+      }
+      if (entry.errors.length > 0) {
+        entry.status = "error";
+        continue;
+      }
+
+      const keys = {
+        email: fields.email ? fields.email.toLowerCase() : "",
+        contact: fields.contact || "",
+        nameDob: fields.dob ? `${fields.first_name}|${fields.last_name}|${fields.dob}`.toLowerCase() : ""
+      };
+      const sameFileRow = ["email", "contact", "nameDob"].map(k => keys[k] && seen[k].get(keys[k])).find(Boolean);
+      if (sameFileRow) {
+        entry.status = "duplicate";
+        entry.errors.push(`Duplicate of row ${sameFileRow} in this file`);
+        continue;
+      }
+
+      const duplicate = await findDuplicateEmployee(fields);
+      if (duplicate) {
+        entry.status = "duplicate";
+        entry.errors.push(duplicateError(duplicate));
+        entry.duplicate_of = duplicate.employee_id;
+        continue;
+      }
+
+      for (const k of Object.keys(keys)) if (keys[k]) seen[k].set(keys[k], row);
+      entry.fields = fields;
+      entry.department = resolved.department;
+    }
+
+    if (!dryRun) {
+      for (const entry of report) {
+        if (entry.status !== "valid") continue;
+        const { photo_url: photoUrl = null, photo_file, ...fields } = entry.fields;
+        try {
+          let photo = photoFromUrl(photoUrl);
+          if (!photo.photo_url && photo_file) {
+            photo = await storeEmployeePhoto(photos.get(path.basename(photo_file).toLowerCase()), path.basename(photo_file));
+          }
+
+          const employee_id = await generateEmployeeId({ dept: fields.dept, department: entry.department });
+          const created_at = new Date();
+          const created = await new Employee({
+            ...fields,
+            department_id: entry.department ? entry.department._id : null,
+            employee_id,
+            ...photo,
+            card_issued_at: created_at,
+            valid_until: defaultCardExpiry(created_at),
+            card_history: [{ version: 1, action: "issued", status: "active", reason: "bulk import", at: created_at }],
+            created_at
+          }).save();
+          await recordAudit(req, {
+            action: "employee.created",
+            entity_id: employee_id,
+            changes: diffFields({}, { ...fields, photo_url: photo.photo_url }),
+            meta: { source: "import", file: sheet.originalname, row: entry.row }
+          });
+          await emitWebhookEvent("employee.created", { employee: webhookEmployee(created.toObject()), source: "import" });
+          entry.status = "created";
+          entry.employee_id = employee_id;
+        } catch (err) {
+          console.error(`Import row ${entry.row} failed:`, err);
+          entry.status = "failed";
+          entry.errors.push(String(err.message || err));
+        }
+      }
+    }
+
+    for (const entry of report) delete entry.fields;
+    const count = status => report.filter(r => r.status === status).length;
+
+    res.json({
+      success: true,
+      dryRun,
+      total: report.length,
+      valid: count("valid") + count("created") + count("failed"),
+      created: count("created"),
+      failed: count("failed"),
+      errors: count("error"),
+      duplicates: count("duplicate"),
+      mapping,
+      unmapped_columns: unmapped,
+      employee_ids: report.filter(r => r.employee_id).map(r => r.employee_id),
+      rows: report
+    });
+  } catch (err) {
+    console.error("POST /api/employees/import error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
 // Update employee
-app.put("/api/employees/:employee_id", upload.single("photo"), async (req, res) => {
+app.put("/api/employees/:employee_id", requirePermission("employees:write"), upload.single("photo"), async (req, res) => {
   try {
     const eid = req.params.employee_id;
-    const existing = await Employee.findOne({ employee_id: eid });
+    const existing = await Employee.findOne({ employee_id: eid, deleted_at: null });
     if (!existing) return res.status(404).json({ success: false, error: "Not found" });
+    const before = existing.toObject();
 
     const payload = req.body || {};
+    const photoUrl = payload.photoUrl || "";
+    // only fields that change are validated, so untouched legacy values never block an edit
+    const changed = {};
+    for (const field of EMPLOYEE_FIELDS) {
+      if (payload[field] !== undefined && String(payload[field] ?? "").trim() !== String(existing[field] ?? "")) {
+        changed[field] = payload[field];
+      }
+    }
+    const { values, errors } = validateEmployeeInput(changed, { partial: true });
+    if (errors.length > 0) return res.status(400).json(validationFailure(errors));
     const {
       first_name = existing.first_name,
       last_name = existing.last_name,
@@ -310,67 +997,49 @@ app.put("/api/employees/:employee_id", upload.single("photo"), async (req, res)
       blood_group = existing.blood_group,
       email = existing.email,
       dept = existing.dept,
-      other = existing.other,
-      photoUrl = ""
-    } = payload;
-
-    if (!first_name || !last_name) {
-      return res.status(400).json({ success: false, error: "first_name and last_name are required" });
+      employee_type = existing.employee_type,
+      other = existing.other
+    } = values;
+
+    const validity = parseValidityWindow(payload, existing);
+    if (validity.error) return res.status(400).json({ success: false, error: validity.error });
+
+    // only a changed dept is checked against the registry; the employee_id is never regenerated
+    let resolved = null;
+    if (dept !== existing.dept) {
+      resolved = await resolveEmployeeDept(dept);
+      if (resolved.error) return res.status(400).json({ success: false, error: resolved.error });
     }
 
     // duplicate check excluding current record
-    const orClauses = [];
-    if (email && email.trim()) orClauses.push({ email: email.trim() });
-    if (contact && contact.trim()) orClauses.push({ contact: contact.trim() });
-    if (first_name && last_name && dob) {
-      orClauses.push({
-        $and: [
-          { first_name: { $regex: `^${escapeRegExp(first_name)}$`, $options: "i" } },
-          { last_name: { $regex: `^${escapeRegExp(last_name)}$`, $options: "i" } },
-          { dob }
-        ]
-      });
-    }
-
-    if (orClauses.length > 0) {
-      const duplicate = await Employee.findOne({
-        _id: { $ne: existing._id },
-        $or: orClauses
-      }).lean();
-      if (duplicate) {
-        return res.status(400).json({ success: false, error: "Duplicate employee detected! Same email, contact, or name with DOB already exists." });
-      }
+    const duplicate = await findDuplicateEmployee({ email, contact, first_name, last_name, dob }, existing._id);
+    if (duplicate) {
+      return res.status(400).json({ success: false, error: duplicateError(duplicate) });
     }
 
     // Photo handling
-    let photo_url = existing.photo_url || null;
-    let photo_public_id = existing.photo_public_id || null;
+    const previousPhoto = {};
+    for (const field of Object.keys(NO_PHOTO)) previousPhoto[field] = existing[field] || null;
+    let photo = previousPhoto;
 
     if (req.file && req.file.buffer) {
       try {
-        const result = await uploadBufferToCloudinary(req.file.buffer, req.file.originalname);
-        if (photo_public_id) {
-          await deleteCloudinaryImage(photo_public_id);
-        }
-        photo_public_id = result.public_id;
-        photo_url = result.secure_url;
+        photo = await storeEmployeePhoto(req.file.buffer, req.file.originalname);
       } catch (err) {
-        console.error("Cloudinary upload failed:", err);
+        if (err instanceof PhotoRejectedError) {
+          return res.status(400).json({ success: false, error: `Photo rejected: ${err.message}` });
+        }
+        console.error("Photo upload failed:", err);
         return res.status(500).json({ success: false, error: "Image upload failed", details: String(err) });
       }
+      await deleteEmployeePhotos(previousPhoto);
     } else if (photoUrl === "__DELETE__") {
-      if (photo_public_id) {
-        await deleteCloudinaryImage(photo_public_id);
-      }
-      photo_public_id = null;
-      photo_url = null;
+      await deleteEmployeePhotos(previousPhoto);
+      photo = { ...NO_PHOTO };
     } else if (photoUrl) {
-      if (photoUrl !== photo_url) {
-        if (photo_public_id) {
-          await deleteCloudinaryImage(photo_public_id);
-        }
-        photo_public_id = null;
-        photo_url = photoUrl;
+      if (photoUrl !== previousPhoto.photo_url) {
+        await deleteEmployeePhotos(previousPhoto);
+        photo = photoFromUrl(photoUrl);
       }
     }
 
@@ -382,16 +1051,33 @@ app.put("/api/employees/:employee_id", upload.single("photo"), async (req, res)
     existing.dob = dob;
     existing.blood_group = blood_group;
     existing.email = email;
-    existing.dept = dept;
+    if (resolved) {
+      existing.dept = resolved.dept;
+      existing.department_id = resolved.department ? resolved.department._id : null;
+    }
+    existing.employee_type = employee_type;
     existing.other = other;
-    existing.photo_public_id = photo_public_id;
-    existing.photo_url = photo_url;
+    existing.set(photo);
+    existing.valid_from = validity.valid_from;
+    existing.valid_until = validity.valid_until;
 
     await existing.save();
 
-    const verifyUrl = `${getBaseUrl(req)}/verify/${encodeURIComponent(existing.employee_id)}`;
+    const after = existing.toObject();
+    const changes = diffFields(before, after, AUDITED_FIELDS.filter(f => f !== "photo_url"));
+    if (changes.length > 0) {
+      await recordAudit(req, { action: "employee.updated", entity_id: eid, changes });
+      await emitWebhookEvent("employee.updated", { employee: webhookEmployee(after), changes });
+    }
+    const photoChanges = diffFields(before, after, ["photo_url"]);
+    if (photoChanges.length > 0) {
+      await recordAudit(req, { action: "employee.photo_changed", entity_id: eid, changes: photoChanges });
+      await emitWebhookEvent("photo.changed", { employee: webhookEmployee(after), changes: photoChanges });
+    }
+
+    const verifyUrl = await buildVerifyUrl(req, existing);
     const [qrDataUrl, barcodeDataUrl] = await Promise.all([
-      makeQRDataURL(verifyUrl),
+      makeQRDataURL(await buildQrContent(req, existing, parseQrMode(req.query.qr_mode) || QR_MODE)),
       makeBarcodeDataURL(existing.employee_id)
     ]);
 
@@ -404,34 +1090,42 @@ app.put("/api/employees/:employee_id", upload.single("photo"), async (req, res)
       photoUrl: existing.photo_url || null
     });
   } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json(validationFailure(mongooseFieldErrors(err)));
     console.error("PUT /api/employees/:id error:", err);
     res.status(500).json({ success: false, error: String(err) });
   }
 });
 
-// List employees (search q, limit, offset)
-app.get("/api/employees", async (req, res) => {
+// List employees. Filters: see buildEmployeeFilter (plus department). Sorting:
+// sort=<field> or -<field>, order=asc|desc (relevance when search is given).
+// Pages: limit + cursor (next_cursor of the previous page) or offset; total counts every match.
+app.get("/api/employees", requirePermission("employees:read"), async (req, res) => {
   try {
-    const q = (req.query.q || "").trim();
     const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
     const offset = parseInt(req.query.offset || "0", 10) || 0;
-
-    let filter = {};
-    if (q) {
-      const like = new RegExp(escapeRegExp(q), "i");
-      filter = {
-        $or: [
-          { employee_id: like },
-          { first_name: like },
-          { last_name: like },
-          { email: like },
-          { contact: like }
-        ]
-      };
+    const { filter, error } = await resolveEmployeeFilter(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const sort = parseSort(req.query, { hasTextSearch: Boolean(String(req.query.search || "").trim()) });
+    if (sort.error) return res.status(400).json({ success: false, error: sort.error });
+
+    // cursor pages continue after the last row; relevance order only pages by offset
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      if (sort.field === "relevance") return res.status(400).json({ success: false, error: "cursor cannot be used with sort=relevance; use offset" });
+      const decoded = decodeCursor(req.query.cursor, sort);
+      if (decoded.error) return res.status(400).json({ success: false, error: decoded.error });
+      pageFilter = { $and: [filter, cursorClause(sort, decoded.cursor)] };
     }
 
-    const rows = await Employee.find(filter).sort({ created_at: -1 }).skip(offset).limit(limit).lean();
+    let find = Employee.find(pageFilter).sort(sortSpec(sort));
+    if (EMPLOYEE_SORT_FIELDS[sort.field] === "string") find = find.collation(LIST_COLLATION);
+    if (!req.query.cursor) find = find.skip(offset);
+    // one extra row tells whether another page exists
+    const [found, total] = await Promise.all([find.limit(limit + 1).lean(), Employee.countDocuments(filter)]);
+    const hasMore = found.length > limit;
+    const rows = found.slice(0, limit);
     const base = getBaseUrl(req);
+    const key = await getActiveSigningKey();
     const employees = rows.map(r => ({
       id: r._id,
       employee_id: r.employee_id,
@@ -439,167 +1133,2516 @@ app.get("/api/employees", async (req, res) => {
       last_name: r.last_name,
       position: r.position,
       dept: r.dept,
+      department_id: r.department_id || null,
       contact: r.contact,
       email: r.email,
+      blood_group: r.blood_group || "",
+      employee_type: r.employee_type || "employee",
+      card_status: r.card_status || "active",
       created_at: r.created_at,
+      updated_at: r.updated_at || null,
       photo_url: r.photo_url || null,
-      verify_url: `${base}/verify/${encodeURIComponent(r.employee_id)}`
+      photo_thumb_url: r.photo_thumb_url || null,
+      verify_url: verifyUrlFor(base, r, key)
     }));
 
-    res.json({ success: true, employees, count: employees.length, limit, offset });
+    res.json({
+      success: true,
+      employees,
+      count: employees.length,
+      total,
+      limit,
+      offset: req.query.cursor ? null : offset,
+      sort: sort.field,
+      order: sort.dir === 1 ? "asc" : "desc",
+      has_more: hasMore,
+      next_cursor: hasMore && sort.field !== "relevance" ? encodeCursor(rows[rows.length - 1], sort) : null
+    });
   } catch (err) {
     console.error("GET /api/employees error:", err);
     res.status(500).json({ success: false, error: String(err) });
   }
 });
 
+// Streaming export (?format=csv|xlsx|json&fields=a,b,c plus the list filters)
+// Registered before /:employee_id so "export" is not taken as an ID.
+app.get("/api/employees/export", requirePermission("employees:read"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: "format must be csv, xlsx or json" });
+    }
+    const { fields, unknown } = parseExportFields(req.query.fields);
+    if (unknown.length > 0 || fields.length === 0) {
+      return res.status(400).json({ success: false, error: "Unknown or empty fields", unknown });
+    }
+
+    const { filter, error } = await resolveEmployeeFilter(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const base = getBaseUrl(req);
+    const key = await getActiveSigningKey();
+    const cursor = Employee.find(filter).sort({ created_at: -1 }).lean().cursor();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="employees-${stamp}.${EXPORT_FORMATS[format].ext}"`);
+
+    try {
+      await streamExport({
+        cursor,
+        format,
+        fields,
+        out: res,
+        toRow: r => ({
+          ...r,
+          employee_type: r.employee_type || "employee",
+          photo_url: r.photo_url || null,
+          verify_url: verifyUrlFor(base, r, key)
+        })
+      });
+    } finally {
+      await cursor.close();
+    }
+  } catch (err) {
+    if (err instanceof ExportAbortedError) return; // client went away; the cursor is closed above
+    console.error("GET /api/employees/export error:", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Trash listing (registered before /:employee_id)
+app.get("/api/employees/trash", requirePermission("employees:delete"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const rows = await Employee.find({ deleted_at: { $ne: null } }).sort({ deleted_at: -1 }).skip(offset).limit(limit).lean();
+    const employees = rows.map(r => ({
+      id: r._id,
+      employee_id: r.employee_id,
+      first_name: r.first_name,
+      last_name: r.last_name,
+      position: r.position,
+      dept: r.dept,
+      deleted_at: r.deleted_at,
+      deleted_by: r.deleted_by || null,
+      purge_after: purgeAfter(r.deleted_at)
+    }));
+    res.json({ success: true, employees, count: employees.length, limit, offset, retention_days: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error("GET /api/employees/trash error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Validate an employee ID string (format + check character) without looking it up
+app.get("/api/employee-ids/validate", requirePermission("cards:read"), (req, res) => {
+  const id = String(req.query.id || "").trim();
+  if (!id) return res.status(400).json({ success: false, error: "id is required" });
+  const result = validateEmployeeId(idTemplate, id, {
+    alg: ID_CHECK_ALG,
+    company: COMPANY_CODE,
+    acceptLegacy: ID_ACCEPT_LEGACY_CHECK
+  });
+  res.json({ success: true, id, template: ID_TEMPLATE, ...result });
+});
+
 // Get single employee
-app.get("/api/employees/:employee_id", async (req, res) => {
+app.get("/api/employees/:employee_id", requirePermission("employees:read"), async (req, res) => {
   try {
     const eid = req.params.employee_id;
-    const row = await Employee.findOne({ employee_id: eid }).lean();
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: null }).lean();
     if (!row) return res.status(404).json({ success: false, error: "Not found" });
 
     const photo_url = row.photo_url || null;
-    const verifyUrl = `${getBaseUrl(req)}/verify/${eid}`;
+    const verifyUrl = await buildVerifyUrl(req, row);
     const [qrDataUrl, barcodeDataUrl] = await Promise.all([
-      makeQRDataURL(verifyUrl),
+      makeQRDataURL(await buildQrContent(req, row, parseQrMode(req.query.qr_mode) || QR_MODE)),
       makeBarcodeDataURL(row.employee_id)
     ]);
 
-    res.json({ success: true, employee: { ...row, photo_url }, qrDataUrl, barcodeDataUrl, verifyUrl });
+    res.json({ success: true, employee: { ...row, photo_url }, card: cardSummary(row), qrDataUrl, barcodeDataUrl, verifyUrl });
   } catch (err) {
     console.error("GET /api/employees/:id error:", err);
     res.status(500).json({ success: false, error: String(err) });
   }
 });
 
-// Download QR (binary PNG)
-app.get("/api/employees/:employee_id/qr", async (req, res) => {
+// Rendered code image from the cache, rendering it on a miss
+async function cachedCode(key, render) {
+  const hit = codeCache.get(key);
+  if (hit) return hit;
+  const image = await render();
+  codeCache.set(key, image);
+  return image;
+}
+
+function sendCode(res, image, basename) {
+  res.setHeader("Content-Type", image.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${basename}.${image.ext}"`);
+  res.setHeader("Cache-Control", "private, max-age=300");
+  res.send(image.body);
+}
+
+// Download QR (?qr_mode=url|offline plus the lib/codes.js options:
+// format=png|svg, ec=L|M|Q|H, size (px), margin (modules), color, background)
+app.get("/api/employees/:employee_id/qr", requirePermission("cards:read"), async (req, res) => {
   try {
     const eid = req.params.employee_id;
-    const row = await Employee.findOne({ employee_id: eid }).lean();
-    if (!row) return res.status(404).send("Not found");
+    const qrMode = parseQrMode(req.query.qr_mode);
+    if (!qrMode) return res.status(400).send("qr_mode must be url or offline");
+    const { options, error } = parseQrOptions(req.query);
+    if (error) return res.status(400).send(error);
 
-    const verifyUrl = `${getBaseUrl(req)}/verify/${encodeURIComponent(eid)}`;
-    const buffer = await makeQRCodeBuffer(verifyUrl);
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: null }).lean();
+    if (!row) return res.status(404).send("Not found");
 
-    res.setHeader("Content-Type", "image/png");
-    res.setHeader("Content-Disposition", `attachment; filename="${eid}-qr.png"`);
-    res.send(buffer);
+    const content = await buildQrContent(req, row, qrMode);
+    sendCode(res, await cachedCode(codeCacheKey("qr", eid, content, options), () => renderQr(content, options)), `${eid}-qr`);
   } catch (err) {
     console.error("GET /api/employees/:id/qr error:", err);
     res.status(500).send("Server error");
   }
 });
 
-// Download Barcode (binary PNG)
-app.get("/api/employees/:employee_id/barcode", async (req, res) => {
+// Download barcode (symbology=code128|code39|pdf417|datamatrix, format=png|svg, scale,
+// height (mm), margin, text=true|false, text_size, color, background)
+app.get("/api/employees/:employee_id/barcode", requirePermission("cards:read"), async (req, res) => {
   try {
     const eid = req.params.employee_id;
-    const row = await Employee.findOne({ employee_id: eid }).lean();
-    if (!row) return res.status(404).send("Not found");
+    const { options, error } = parseBarcodeOptions(req.query);
+    if (error) return res.status(400).send(error);
 
-    const buffer = await makeBarcodeBuffer(row.employee_id);
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: null }).lean();
+    if (!row) return res.status(404).send("Not found");
 
-    res.setHeader("Content-Type", "image/png");
-    res.setHeader("Content-Disposition", `attachment; filename="${eid}-barcode.png"`);
-    res.send(buffer);
+    const key = codeCacheKey("barcode", eid, row.employee_id, options);
+    try {
+      sendCode(res, await cachedCode(key, () => renderBarcode(row.employee_id, options)), `${eid}-barcode`);
+    } catch (err) {
+      // bwip-js rejects data a symbology cannot encode (e.g. lowercase in code39)
+      if (/^bwipp?\./.test(String(err.message || err))) return res.status(400).send(`Cannot encode as ${options.symbology}: ${err.message}`);
+      throw err;
+    }
   } catch (err) {
     console.error("GET /api/employees/:id/barcode error:", err);
     res.status(500).send("Server error");
   }
 });
 
-// Delete employee
-app.delete("/api/employees/:employee_id", async (req, res) => {
+// Printable CR80 card (?format=pdf|png&side=front|back&qr_mode=url|offline)
+// PDF holds both sides (front page, back page) unless side is given; PNG is one side (default front).
+app.get("/api/employees/:employee_id/card", requirePermission("cards:read"), async (req, res) => {
   try {
     const eid = req.params.employee_id;
-    const row = await Employee.findOne({ employee_id: eid });
-    if (!row) return res.status(404).json({ success: false, error: "Not found" });
+    const format = String(req.query.format || "pdf").toLowerCase();
+    const side = req.query.side ? String(req.query.side).toLowerCase() : "";
 
-    if (row.photo_public_id) {
-      await deleteCloudinaryImage(row.photo_public_id);
+    if (!["pdf", "png"].includes(format)) {
+      return res.status(400).json({ success: false, error: "format must be pdf or png" });
+    }
+    if (side && !CARD_SIDES.includes(side)) {
+      return res.status(400).json({ success: false, error: "side must be front or back" });
     }
+    const qrMode = parseQrMode(req.query.qr_mode);
+    if (!qrMode) return res.status(400).json({ success: false, error: "qr_mode must be url or offline" });
 
-    await Employee.deleteOne({ employee_id: eid });
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: null }).lean();
+    if (!row) return res.status(404).json({ success: false, error: "Not found" });
+
+    const data = await buildCardData(row, req, { qrMode: req.query.qr_mode ? qrMode : null });
+
+    if (format === "png") {
+      const pngSide = side || "front";
+      const buffer = await renderCardPng(pngSide, data);
+      res.setHeader("Content-Type", "image/png");
+      res.setHeader("Content-Disposition", `attachment; filename="${eid}-card-${pngSide}.png"`);
+      return res.send(buffer);
+    }
 
-    res.json({ success: true, message: "Deleted" });
+    const buffer = await renderCardPdf(data, { sides: side ? [side] : CARD_SIDES });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${eid}-card.pdf"`);
+    res.send(buffer);
   } catch (err) {
-    console.error("DELETE /api/employees/:id error:", err);
+    console.error("GET /api/employees/:id/card error:", err);
     res.status(500).json({ success: false, error: String(err) });
   }
 });
 
-// Public verification page (simple HTML)
-app.get("/verify/:employee_id", async (req, res) => {
+// Batch card printing
+// Body: { employee_ids: [...] } or the list filter ({ q, dept, created_from, created_to }),
+// plus format ("pdf" sheet | "zip" of QR/barcode PNGs), paper ("a4" | "letter"), duplex, crop_marks, qr_mode.
+app.post("/api/cards/batch", requirePermission("cards:read"), async (req, res) => {
   try {
-    const eid = req.params.employee_id;
-    const row = await Employee.findOne({ employee_id: eid }).lean();
-    if (!row) return res.status(404).send("<h2>Employee not found</h2>");
+    const body = req.body || {};
+    const format = String(body.format || "pdf").toLowerCase();
+    const paper = String(body.paper || "a4").toLowerCase();
+    const duplex = body.duplex === true || body.duplex === "true";
+    const cropMarks = !(body.crop_marks === false || body.crop_marks === "false");
+    const qrMode = parseQrMode(body.qr_mode);
+
+    if (!["pdf", "zip"].includes(format)) {
+      return res.status(400).json({ success: false, error: "format must be pdf or zip" });
+    }
+    if (!SHEET_PAPERS[paper]) {
+      return res.status(400).json({ success: false, error: "paper must be a4 or letter" });
+    }
+    if (!qrMode) {
+      return res.status(400).json({ success: false, error: "qr_mode must be url or offline" });
+    }
 
-    const photo_url = row.photo_url || "";
-
-    // FIXED: define logoUrl and safeAddress used in template
-    const logoUrl = process.env.COMPANY_LOGO_URL || "";
-    const safeAddress = escapeHtml(row.address || "-");
-
-    const html = `
-    <html>
-    <head>
-      <title>${escapeHtml(row.first_name)} ${escapeHtml(row.last_name)} - ${escapeHtml(COMPANY_CODE)} Employee</title>
-      <meta name="viewport" content="width=device-width,initial-scale=1" />
-      <style>
-        body { font-family: 'Inter', sans-serif; background: #F1EFEC; color: #030303; display:flex; align-items:center; justify-content:center; height:100vh; margin:0; padding:16px; }
-        .card { background:#fff; border-radius:16px; box-shadow:0 6px 18px rgba(0,0,0,0.1); padding:24px; width:360px; text-align:center; border-top:6px solid #123458; position:relative; }
-        .logo { width:84px; height:auto; margin:0 auto 12px auto; display:block; }
-        img.photo { width:160px; height:160px; object-fit:cover; border-radius:12px; border:4px solid #4ED7F1; margin:12px auto; display:block; }
-        h2{ margin:8px 0 0 0; color:#123458; font-size:20px; }
-        .id{ font-family:'Roboto Mono', monospace; color:#555; font-size:13px; margin:8px 0 12px 0; letter-spacing:0.6px; }
-        .meta { text-align:left; margin:8px 0; font-size:14px; color:#222; }
-        .meta strong { color:#333; }
-        .address { white-space: pre-wrap; word-break: break-word; text-align:left; max-height:120px; overflow:auto; background:#fafafa; padding:8px; border-radius:6px; border:1px solid #eee; color:#333; }
-        p{ margin:8px 0; }
-        hr{ margin:16px 0; border:none; border-top:1px solid #eee; }
-        .brand{ margin-top:10px; font-weight:bold; color:#4ED7F1; letter-spacing:1px; }
-      </style>
-    </head>
-    <body>
-      <div class="card">
-        ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" class="logo" alt="${escapeHtml(COMPANY_CODE)} logo" />` : ""}
-        ${photo_url ? `<img src="${photo_url}" class="photo" alt="Employee Photo"/>` : ""}
-        <h2>${escapeHtml(row.first_name)} ${escapeHtml(row.last_name)}</h2>
-        <div class="id">${escapeHtml(row.employee_id)}</div>
-
-        <div class="meta"><strong>Position:</strong> ${escapeHtml(row.position || "-")}</div>
-        <div class="meta"><strong>Department:</strong> ${escapeHtml(row.dept || "-")}</div>
-        <div class="meta"><strong>Contact:</strong> ${escapeHtml(row.contact || "-")}</div>
-        <div class="meta"><strong>Email:</strong> ${escapeHtml(row.email || "-")}</div>
-        <div class="meta"><strong>DOB:</strong> ${escapeHtml(row.dob || "-")}</div>
-        <div class="meta"><strong>Blood Group:</strong> ${escapeHtml(row.blood_group || "-")}</div>
-
-        <div style="margin-top:8px;">
-          <div style="font-weight:600; text-align:left; margin-bottom:6px;">Address</div>
-          <div class="address">${safeAddress}</div>
-        </div>
-
-        <hr />
-        <div class="brand">Verified by ${escapeHtml(COMPANY_CODE)}</div>
-      </div>
-    </body>
-    </html>`;
-    res.send(html);
+    let ids = body.employee_ids;
+    if (typeof ids === "string") ids = ids.split(",");
+    ids = Array.isArray(ids) ? ids.map(id => String(id).trim()).filter(Boolean) : [];
+
+    let rows;
+    if (ids.length > 0) {
+      const found = await Employee.find({ employee_id: { $in: ids }, deleted_at: null }).lean();
+      const byId = new Map(found.map(r => [r.employee_id, r]));
+      const missing = ids.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ success: false, error: "Some employees were not found", missing });
+      }
+      // keep the caller's order (it is the print order)
+      rows = ids.map(id => byId.get(id));
+    } else {
+      const { filter, error } = await resolveEmployeeFilter(body);
+      if (error) return res.status(400).json({ success: false, error });
+      rows = await Employee.find(filter).sort({ created_at: 1 }).limit(BATCH_MAX_CARDS + 1).lean();
+    }
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: "No employees matched" });
+    }
+    if (rows.length > BATCH_MAX_CARDS) {
+      return res.status(400).json({ success: false, error: `Too many employees (max ${BATCH_MAX_CARDS} per batch)` });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="cards-${stamp}.zip"`);
+      const archive = new ZipArchive({ zlib: { level: 6 } });
+      archive.on("error", err => {
+        console.error("POST /api/cards/batch zip error:", err);
+        res.destroy(err);
+      });
+      archive.pipe(res);
+      for (const row of rows) {
+        if (res.destroyed) return archive.abort(); // client went away
+        const eid = row.employee_id;
+        const qrContent = await buildQrContent(req, row, qrMode);
+        const [qr, barcode] = await Promise.all([makeQRCodeBuffer(qrContent), makeBarcodeBuffer(eid)]);
+        archive.append(qr, { name: `${eid}/${eid}-qr.png` });
+        archive.append(barcode, { name: `${eid}/${eid}-barcode.png` });
+      }
+      await archive.finalize();
+      return;
+    }
+
+    const context = await loadCardContext();
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="cards-${stamp}.pdf"`);
+    await writeCardSheetPdf(res, rows, async row => {
+      const data = await buildCardData(row, req, { context, qrMode: body.qr_mode ? qrMode : null });
+      const [front, back] = await Promise.all([
+        renderCardPng("front", data),
+        duplex ? renderCardPng("back", data) : null
+      ]);
+      return { front, back };
+    }, { paper, duplex, cropMarks, title: `${COMPANY_CODE} ID cards ${stamp}` });
   } catch (err) {
-    console.error("GET /verify error:", err);
-    res.status(500).send("<h2>Server error</h2>");
+    if (err instanceof ExportAbortedError) return; // client went away mid-download
+    console.error("POST /api/cards/batch error:", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ success: false, error: String(err) });
   }
 });
 
-// ---------- Startup (connect then listen) ----------
-async function start() {
+// ---------- Card lifecycle ----------
+
+// Change card status ({ status, reason, valid_from?, valid_until? })
+app.post("/api/employees/:employee_id/card/status", requirePermission("cards:manage"), async (req, res) => {
   try {
-    await mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true });
-    console.log("✅ Connected to MongoDB");
+    const eid = req.params.employee_id;
+    const { status, reason = "" } = req.body || {};
+    if (!CARD_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${CARD_STATUSES.join(", ")}` });
+    }
+    if (status !== "active" && !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: "reason is required" });
+    }
+
+    const existing = await Employee.findOne({ employee_id: eid, deleted_at: null });
+    if (!existing) return res.status(404).json({ success: false, error: "Not found" });
+    const before = existing.toObject();
+
+    const validity = parseValidityWindow(req.body || {}, existing);
+    if (validity.error) return res.status(400).json({ success: false, error: validity.error });
+
+    existing.card_status = status;
+    existing.valid_from = validity.valid_from;
+    existing.valid_until = validity.valid_until;
+    existing.card_history.push({
+      version: existing.card_version || 1,
+      action: "status_changed",
+      status,
+      reason: String(reason).trim(),
+      at: new Date()
+    });
+    await existing.save();
+    await recordAudit(req, {
+      action: "card.status_changed",
+      entity_id: eid,
+      changes: diffFields(before, existing.toObject(), ["card_status", "valid_from", "valid_until"]),
+      meta: { reason: String(reason).trim() }
+    });
+    await emitWebhookEvent("card.status_changed", {
+      employee: webhookEmployee(existing.toObject()),
+      previous_status: before.card_status,
+      reason: String(reason).trim()
+    });
+
+    res.json({ success: true, employee_id: eid, card: cardSummary(existing.toObject()) });
+  } catch (err) {
+    console.error("POST /api/employees/:id/card/status error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Reissue (lost / damaged / expiring card): bumps card_version so the old QR stops
+// verifying. Without valid_until the new card gets the default expiry.
+app.post("/api/employees/:employee_id/card/reissue", requirePermission("cards:manage"), async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const { reason = "" } = req.body || {};
+    if (!String(reason).trim()) {
+      return res.status(400).json({ success: false, error: "reason is required" });
+    }
+
+    const existing = await Employee.findOne({ employee_id: eid, deleted_at: null });
+    if (!existing) return res.status(404).json({ success: false, error: "Not found" });
+    if (existing.card_status === "revoked") {
+      return res.status(409).json({ success: false, error: "Card is revoked; set status to active before reissuing" });
+    }
+    const before = existing.toObject();
+
+    const validity = parseValidityWindow(req.body || {}, existing);
+    if (validity.error) return res.status(400).json({ success: false, error: validity.error });
+
+    const now = new Date();
+    existing.card_version = (existing.card_version || 1) + 1;
+    existing.card_issued_at = now;
+    existing.card_status = "active";
+    existing.valid_from = validity.valid_from;
+    const renewedUntil = (req.body || {}).valid_until === undefined ? defaultCardExpiry(validity.valid_from || now) : null;
+    existing.valid_until = renewedUntil || validity.valid_until;
+    existing.card_history.push({
+      version: existing.card_version,
+      action: "reissued",
+      status: "active",
+      reason: String(reason).trim(),
+      at: now
+    });
+    await existing.save();
+    await recordAudit(req, {
+      action: "card.reissued",
+      entity_id: eid,
+      changes: diffFields(before, existing.toObject(), ["card_status", "card_version", "valid_from", "valid_until"]),
+      meta: { reason: String(reason).trim() }
+    });
+    await emitWebhookEvent("card.reissued", {
+      employee: webhookEmployee(existing.toObject()),
+      previous_version: before.card_version || 1,
+      reason: String(reason).trim()
+    });
+
+    const verifyUrl = await buildVerifyUrl(req, existing);
+    const qrDataUrl = await makeQRDataURL(await buildQrContent(req, existing, parseQrMode(req.query.qr_mode) || QR_MODE));
+
+    res.json({ success: true, employee_id: eid, card: cardSummary(existing.toObject()), qrDataUrl, verifyUrl });
+  } catch (err) {
+    console.error("POST /api/employees/:id/card/reissue error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Card renewals ----------
+
+// Renewal thresholds; ?days= overrides RENEWAL_NOTICE_DAYS. Returns { options } or { error }.
+function renewalOptions(query = {}) {
+  let noticeDays = RENEWAL_NOTICE_DAYS;
+  if (query.days !== undefined && query.days !== "") {
+    noticeDays = Number(query.days);
+    if (!Number.isInteger(noticeDays) || noticeDays < 0 || noticeDays > 365) {
+      return { error: "days must be a whole number from 0 to 365" };
+    }
+  }
+  return { options: { now: new Date(), noticeDays, photoMaxAgeMonths: PHOTO_MAX_AGE_MONTHS } };
+}
+
+// Email renewal reminders (at startup, then every RENEWAL_CHECK_HOURS)
+async function runRenewalReminders({ dryRun = false } = {}) {
+  const result = await sendRenewalReminders(
+    { now: new Date(), noticeDays: RENEWAL_NOTICE_DAYS, photoMaxAgeMonths: PHOTO_MAX_AGE_MONTHS },
+    {
+      mailer,
+      notifyEmployees: RENEWAL_NOTIFY_EMPLOYEES,
+      notifyTo: RENEWAL_NOTIFY_TO,
+      repeatDays: RENEWAL_REMINDER_REPEAT_DAYS,
+      companyCode: COMPANY_CODE,
+      dryRun
+    }
+  );
+  if (result.sent > 0 || result.failed > 0) console.log(`📧 Renewal reminders: ${result.sent} sent, ${result.failed} failed`);
+  return result;
+}
+
+// Dashboard: upcoming renewals per department (?days= notice window)
+app.get("/api/renewals/summary", requirePermission("employees:read"), async (req, res) => {
+  try {
+    const { options, error } = renewalOptions(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const summary = await renewalSummary(options);
+    res.json({
+      success: true,
+      as_of: options.now,
+      notice_days: options.noticeDays,
+      photo_max_age_months: options.photoMaxAgeMonths,
+      reminders_enabled: Boolean(mailer),
+      ...summary
+    });
+  } catch (err) {
+    console.error("GET /api/renewals/summary error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Employees with a renewal due, soonest expiry first, with their latest reminder
+// (?days=, reason, department_id, dept, limit, offset)
+app.get("/api/renewals", requirePermission("employees:read"), async (req, res) => {
+  try {
+    const { options, error } = renewalOptions(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const reason = req.query.reason ? String(req.query.reason) : null;
+    if (reason && !RENEWAL_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: `reason must be one of ${RENEWAL_REASONS.join(", ")}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+
+    const filter = {};
+    if (req.query.department_id) {
+      if (!mongoose.isValidObjectId(req.query.department_id)) {
+        return res.status(400).json({ success: false, error: "department_id is not a valid id" });
+      }
+      filter.department_id = new mongoose.Types.ObjectId(String(req.query.department_id));
+    }
+    if (req.query.dept) filter.dept = new RegExp(`^${escapeRegExp(String(req.query.dept).trim())}$`, "i");
+
+    const due = (await findRenewalsDue(options, filter)).filter(d => !reason || d.reasons.includes(reason));
+    const page = due.slice(offset, offset + limit);
+    const reminders = await RenewalReminder.aggregate([
+      { $match: { employee_id: { $in: page.map(d => d.row.employee_id) } } },
+      { $sort: { sent_at: -1 } },
+      { $group: { _id: "$employee_id", status: { $first: "$status" }, reasons: { $first: "$reasons" }, sent_at: { $first: "$sent_at" } } }
+    ]);
+    const lastReminder = new Map(reminders.map(r => [r._id, { status: r.status, reasons: r.reasons, sent_at: r.sent_at }]));
+
+    const renewals = page.map(({ row, reasons }) => ({
+      employee_id: row.employee_id,
+      name: `${row.first_name || ""} ${row.last_name || ""}`.trim(),
+      dept: row.dept || "",
+      department_id: row.department_id || null,
+      email: row.email || "",
+      reasons,
+      card_status: effectiveCardStatus(row, options.now),
+      valid_until: row.valid_until || null,
+      photo_url: row.photo_url || null,
+      photo_updated_at: row.photo_updated_at || null,
+      last_reminder: lastReminder.get(row.employee_id) || null
+    }));
+    res.json({ success: true, as_of: options.now, notice_days: options.noticeDays, renewals, total: due.length, limit, offset });
+  } catch (err) {
+    console.error("GET /api/renewals error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Send reminders now instead of waiting for the schedule ({ dry_run: true } lists
+// who would be mailed without sending)
+app.post("/api/admin/renewals/run", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const dryRun = Boolean(req.body && (req.body.dry_run === true || req.body.dry_run === "true"));
+    if (!mailer && !dryRun) {
+      return res.status(409).json({ success: false, error: "SMTP is not configured (set SMTP_HOST); use dry_run to preview" });
+    }
+    res.json({ success: true, ...(await runRenewalReminders({ dryRun })) });
+  } catch (err) {
+    console.error("POST /api/admin/renewals/run error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Audit trail ----------
+
+// Change history for one employee (newest first)
+app.get("/api/employees/:employee_id/history", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const filter = { entity_type: "employee", entity_id: req.params.employee_id };
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ at: -1 }).skip(offset).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ success: true, employee_id: req.params.employee_id, entries, total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/employees/:id/history error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Global audit query (actor, action, employee_id, entity_type, from, to, limit, offset)
+app.get("/api/audit", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const filter = buildAuditFilter(req.query, parseDateParam);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ at: -1 }).skip(offset).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ success: true, entries, total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/audit error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Trash (soft delete) ----------
+
+// When a trashed record becomes eligible for purge
+function purgeAfter(deleted_at) {
+  return new Date(new Date(deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently remove trashed employees older than the retention period (and their photos)
+async function purgeDeletedEmployees() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const rows = await Employee.find({ deleted_at: { $ne: null, $lte: cutoff } }).lean();
+  for (const row of rows) {
+    await deleteEmployeePhotos(row);
+    await Employee.deleteOne({ _id: row._id });
+    await recordAudit(null, {
+      action: "employee.purged",
+      entity_id: row.employee_id,
+      meta: { deleted_at: row.deleted_at, deleted_by: row.deleted_by || null, retention_days: TRASH_RETENTION_DAYS }
+    });
+    await emitWebhookEvent("employee.purged", { employee: webhookEmployee(row) });
+  }
+  if (rows.length > 0) console.log(`🗑️  Purged ${rows.length} employee(s) from trash`);
+  return rows.length;
+}
+
+// Restore from trash
+app.post("/api/employees/:employee_id/restore", requirePermission("employees:delete"), async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: { $ne: null } });
+    if (!row) return res.status(404).json({ success: false, error: "Not found in trash" });
+
+    const before = row.toObject();
+    row.deleted_at = null;
+    row.deleted_by = undefined;
+    await row.save();
+    await recordAudit(req, { action: "employee.restored", entity_id: eid, meta: { deleted_at: before.deleted_at, deleted_by: before.deleted_by || null } });
+    await emitWebhookEvent("employee.restored", { employee: webhookEmployee(row.toObject()) });
+
+    res.json({ success: true, employee: row });
+  } catch (err) {
+    console.error("POST /api/employees/:id/restore error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Run the purge now instead of waiting for the schedule
+app.post("/api/admin/trash/purge", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const purged = await purgeDeletedEmployees();
+    res.json({ success: true, purged, retention_days: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    console.error("POST /api/admin/trash/purge error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Delete employee (moves it to the trash; the photo is kept until purge)
+app.delete("/api/employees/:employee_id", requirePermission("employees:delete"), async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const row = await Employee.findOne({ employee_id: eid, deleted_at: null });
+    if (!row) return res.status(404).json({ success: false, error: "Not found" });
+
+    row.deleted_at = new Date();
+    row.deleted_by = req.auth ? req.auth.name : null;
+    await row.save();
+    await recordAudit(req, { action: "employee.deleted", entity_id: eid, meta: { soft: true, retention_days: TRASH_RETENTION_DAYS } });
+    await emitWebhookEvent("employee.deleted", { employee: webhookEmployee(row.toObject()), purge_after: purgeAfter(row.deleted_at) });
+
+    res.json({ success: true, message: "Moved to trash", purge_after: purgeAfter(row.deleted_at) });
+  } catch (err) {
+    console.error("DELETE /api/employees/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Departments ----------
+app.get("/api/departments", requirePermission("employees:read"), async (req, res) => {
+  try {
+    const filter = req.query.active === undefined ? {} : { active: req.query.active === "true" };
+    const departments = await Department.find(filter).sort({ name: 1 }).lean();
+    res.json({ success: true, departments: departments.map(publicDepartment) });
+  } catch (err) {
+    console.error("GET /api/departments error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Existing employees whose free-text dept matches the new name are linked to it
+app.post("/api/departments", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { values, error } = parseDepartmentInput(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+
+    const clash = await Department.findOne({ $or: [{ code: values.code }, { name_key: values.name.toLowerCase() }] }).lean();
+    if (clash) return res.status(400).json({ success: false, error: "A department with this name or code already exists" });
+
+    const department = await Department.create(values);
+    const linked = await Employee.updateMany(
+      { department_id: null, dept: { $regex: `^${escapeRegExp(department.name)}$`, $options: "i" } },
+      { $set: { department_id: department._id, dept: department.name } }
+    );
+    await recordAudit(req, {
+      action: "department.created",
+      entity_type: "department",
+      entity_id: department.code,
+      changes: diffFields({}, values, Object.keys(values)),
+      meta: { linked_employees: linked.modifiedCount }
+    });
+    res.json({ success: true, department: publicDepartment(department), linked_employees: linked.modifiedCount });
+  } catch (err) {
+    console.error("POST /api/departments error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Rename / recode / recolour / (de)activate. A rename is copied to every linked
+// employee; a new code only affects IDs issued from now on.
+app.put("/api/departments/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const department = await Department.findOne({ code: req.params.code.toUpperCase() });
+    if (!department) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { values, error } = parseDepartmentInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const or = [];
+    if (values.code && values.code !== department.code) or.push({ code: values.code });
+    if (values.name && values.name.toLowerCase() !== department.name_key) or.push({ name_key: values.name.toLowerCase() });
+    if (or.length > 0 && (await Department.exists({ $or: or, _id: { $ne: department._id } }))) {
+      return res.status(400).json({ success: false, error: "A department with this name or code already exists" });
+    }
+
+    const before = department.toObject();
+    department.set(values);
+    await department.save();
+
+    let renamed = 0;
+    if (department.name !== before.name) {
+      ({ modifiedCount: renamed } = await Employee.updateMany({ department_id: department._id }, { $set: { dept: department.name } }));
+    }
+    await recordAudit(req, {
+      action: "department.updated",
+      entity_type: "department",
+      entity_id: department.code,
+      changes: diffFields(before, department.toObject(), ["name", "code", "color", "head", "active", "verify_fields"]),
+      meta: renamed ? { renamed_employees: renamed } : undefined
+    });
+    res.json({ success: true, department: publicDepartment(department), renamed_employees: renamed });
+  } catch (err) {
+    console.error("PUT /api/departments/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Only unused departments can be deleted; deactivate the others instead
+app.delete("/api/departments/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const department = await Department.findOne({ code: req.params.code.toUpperCase() });
+    if (!department) return res.status(404).json({ success: false, error: "Not found" });
+
+    const inUse = await Employee.countDocuments({ department_id: department._id });
+    if (inUse > 0) {
+      return res.status(409).json({ success: false, error: `Department has ${inUse} employee(s); deactivate it instead` });
+    }
+
+    await department.deleteOne();
+    await recordAudit(req, { action: "department.deleted", entity_type: "department", entity_id: department.code });
+    res.json({ success: true, deleted: department.code });
+  } catch (err) {
+    console.error("DELETE /api/departments/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Card templates ----------
+// Branding for printed cards and the verify page (see lib/cardTemplates.js).
+app.get("/api/card-templates", requirePermission("cards:read"), async (req, res) => {
+  try {
+    const templates = await CardTemplate.find({}).sort({ code: 1 }).lean();
+    res.json({ success: true, templates: templates.map(publicTemplate), builtin: DEFAULT_CARD_TEMPLATE });
+  } catch (err) {
+    console.error("GET /api/card-templates error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.post("/api/card-templates", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { values, error } = parseTemplateInput(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+    if (await CardTemplate.exists({ code: values.code })) {
+      return res.status(400).json({ success: false, error: "A template with this code already exists" });
+    }
+
+    // only one default template
+    if (values.is_default) await CardTemplate.updateMany({ is_default: true }, { $set: { is_default: false } });
+    const template = await CardTemplate.create(values);
+    await recordAudit(req, {
+      action: "card_template.created",
+      entity_type: "card_template",
+      entity_id: template.code,
+      changes: diffFields({}, values, Object.keys(values))
+    });
+    res.json({ success: true, template: publicTemplate(template) });
+  } catch (err) {
+    console.error("POST /api/card-templates error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Update any field except code (employees reference templates by code)
+app.put("/api/card-templates/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const template = await CardTemplate.findOne({ code: req.params.code.toUpperCase() });
+    if (!template) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { values, error } = parseTemplateInput({ ...(req.body || {}), code: undefined }, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (values.is_default) {
+      await CardTemplate.updateMany({ is_default: true, _id: { $ne: template._id } }, { $set: { is_default: false } });
+    }
+    const before = template.toObject();
+    template.set(values);
+    await template.save();
+    await recordAudit(req, {
+      action: "card_template.updated",
+      entity_type: "card_template",
+      entity_id: template.code,
+      changes: diffFields(before, template.toObject(), Object.keys(values))
+    });
+    res.json({ success: true, template: publicTemplate(template) });
+  } catch (err) {
+    console.error("PUT /api/card-templates/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Refused while employees are assigned to the template (deactivate it instead)
+app.delete("/api/card-templates/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const inUse = await Employee.countDocuments({ card_template: code, deleted_at: null });
+    if (inUse > 0) {
+      return res.status(409).json({ success: false, error: `Template is assigned to ${inUse} employee(s)`, employees: inUse });
+    }
+    const template = await CardTemplate.findOneAndDelete({ code });
+    if (!template) return res.status(404).json({ success: false, error: "Not found" });
+    await recordAudit(req, { action: "card_template.deleted", entity_type: "card_template", entity_id: template.code });
+    res.json({ success: true, deleted: template.code });
+  } catch (err) {
+    console.error("DELETE /api/card-templates/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Render a template for an employee, or for SAMPLE_EMPLOYEE without employee_id.
+// `template` is a code ("BUILTIN" = built-in), an unsaved template object, or
+// empty for the template the employee would get. format: png (one side) | pdf | html (verify page).
+async function sendTemplatePreview(req, res, { template, employeeId, side = "front", format = "png", qrMode = null }) {
+  if (!["png", "pdf", "html"].includes(format)) {
+    return res.status(400).json({ success: false, error: "format must be png, pdf or html" });
+  }
+  if (!CARD_SIDES.includes(side)) return res.status(400).json({ success: false, error: "side must be front or back" });
+
+  let row;
+  let sample = false;
+  if (employeeId) {
+    row = await Employee.findOne({ employee_id: employeeId, deleted_at: null }).lean();
+    if (!row) return res.status(404).json({ success: false, error: "Employee not found" });
+  } else {
+    sample = true;
+    const employee_id = formatEmployeeId(idTemplate, { company: COMPANY_CODE, dept: "ENG", serial: 123, alg: ID_CHECK_ALG });
+    row = { ...SAMPLE_EMPLOYEE, employee_id, created_at: new Date() };
+  }
+
+  const context = await loadCardContext();
+  const department = row.department_id ? context.departments.get(String(row.department_id)) : null;
+  let doc;
+  if (template === undefined || template === null || template === "") {
+    doc = pickCardTemplate(context.templates, row, { deptCode: department ? department.code : null });
+  } else if (typeof template === "string") {
+    const code = template.toUpperCase();
+    if (code !== DEFAULT_CARD_TEMPLATE.code) {
+      doc = await CardTemplate.findOne({ code }).lean();
+      if (!doc) return res.status(404).json({ success: false, error: "Template not found" });
+    }
+  } else {
+    const parsed = parseTemplateInput(template, { partial: true });
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+    doc = parsed.values;
+    // the server fetches logo_url, so only those who may save templates get to choose it
+    if (!hasPermission(req.auth.role, "admin:manage")) delete doc.logo_url;
+  }
+  const resolved = resolveCardTemplate(doc, { deptColor: department ? department.color : null });
+
+  if (format === "html") {
+    return res.send(verifyPageHtml({ row, visible: await verifyVisibilityFor(row), template: resolved }));
+  }
+
+  let data;
+  if (sample) {
+    // the sample badge gets an unsigned link so previews never mint real tokens
+    const [qr, barcode, logo] = await Promise.all([
+      resolved.qr === "none" ? null : makeQRCodeBuffer(`${getBaseUrl(req)}/verify/${row.employee_id}`),
+      resolved.barcode === "none" ? null : makeBarcodeBuffer(row.employee_id, resolved.barcode),
+      cardLogo(resolved, context)
+    ]);
+    data = { employee: row, companyCode: COMPANY_CODE, qr, barcode, photo: null, logo, template: resolved };
+  } else {
+    data = await buildCardData(row, req, { context, template: resolved, qrMode });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    return res.send(await renderCardPdf(data));
+  }
+  res.setHeader("Content-Type", "image/png");
+  res.send(await renderCardPng(side, data));
+}
+
+// Live preview of an unsaved template: { template, employee_id?, side?, format?, qr_mode? }
+app.post("/api/card-templates/preview", requirePermission("cards:read"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const qrMode = parseQrMode(body.qr_mode);
+    if (!qrMode) return res.status(400).json({ success: false, error: "qr_mode must be url or offline" });
+    await sendTemplatePreview(req, res, {
+      template: body.template,
+      employeeId: body.employee_id ? String(body.employee_id).trim() : "",
+      side: String(body.side || "front").toLowerCase(),
+      format: String(body.format || "png").toLowerCase(),
+      qrMode: body.qr_mode ? qrMode : null
+    });
+  } catch (err) {
+    console.error("POST /api/card-templates/preview error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Preview a saved template (?employee_id=&side=&format=&qr_mode=)
+app.get("/api/card-templates/:code/preview", requirePermission("cards:read"), async (req, res) => {
+  try {
+    const qrMode = parseQrMode(req.query.qr_mode);
+    if (!qrMode) return res.status(400).json({ success: false, error: "qr_mode must be url or offline" });
+    await sendTemplatePreview(req, res, {
+      template: req.params.code,
+      employeeId: req.query.employee_id ? String(req.query.employee_id).trim() : "",
+      side: String(req.query.side || "front").toLowerCase(),
+      format: String(req.query.format || "png").toLowerCase(),
+      qrMode: req.query.qr_mode ? qrMode : null
+    });
+  } catch (err) {
+    console.error("GET /api/card-templates/:code/preview error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Assign a template to one employee ({ template: code }); null returns to department / type matching
+app.put("/api/employees/:employee_id/card-template", requirePermission("cards:manage"), async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const existing = await Employee.findOne({ employee_id: eid, deleted_at: null });
+    if (!existing) return res.status(404).json({ success: false, error: "Not found" });
+
+    const value = (req.body || {}).template;
+    let code = null;
+    if (value !== undefined && value !== null && value !== "") {
+      code = String(value).trim().toUpperCase();
+      if (!(await CardTemplate.exists({ code }))) return res.status(400).json({ success: false, error: `Unknown template "${code}"` });
+    }
+
+    const before = existing.toObject();
+    existing.card_template = code;
+    await existing.save();
+    await recordAudit(req, {
+      action: "employee.card_template_changed",
+      entity_id: eid,
+      changes: diffFields(before, existing.toObject(), ["card_template"])
+    });
+    const effective = await cardTemplateFor(existing.toObject());
+    res.json({ success: true, card_template: code, effective: effective.code });
+  } catch (err) {
+    console.error("PUT /api/employees/:employee_id/card-template error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Verify page field visibility ----------
+// Global defaults; departments set theirs via PUT /api/departments/:code { verify_fields }
+app.get("/api/admin/verify-settings", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const setting = await Setting.findById(VERIFY_SETTING_KEY).lean();
+    const overrides = (setting && setting.value) || null;
+    res.json({
+      success: true,
+      fields: VERIFY_FIELDS,
+      defaults: DEFAULT_VERIFY_VISIBILITY,
+      verify_fields: overrides,
+      effective: resolveVisibility(overrides)
+    });
+  } catch (err) {
+    console.error("GET /api/admin/verify-settings error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.put("/api/admin/verify-settings", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { value, error } = parseVisibilityOverrides((req.body || {}).verify_fields);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const before = await Setting.findById(VERIFY_SETTING_KEY).lean();
+    await Setting.updateOne({ _id: VERIFY_SETTING_KEY }, { $set: { value, updated_by: req.auth.name } }, { upsert: true });
+    await recordAudit(req, {
+      action: "settings.verify_fields_changed",
+      entity_type: "setting",
+      entity_id: VERIFY_SETTING_KEY,
+      changes: [{ field: "verify_fields", before: (before && before.value) || null, after: value }]
+    });
+    res.json({ success: true, verify_fields: value, effective: resolveVisibility(value) });
+  } catch (err) {
+    console.error("PUT /api/admin/verify-settings error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Per-employee override ({ verify_fields: { field: true|false|null } }, null clears)
+app.put("/api/employees/:employee_id/verify-fields", requirePermission("cards:manage"), async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const existing = await Employee.findOne({ employee_id: eid, deleted_at: null });
+    if (!existing) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { value, error } = parseVisibilityOverrides((req.body || {}).verify_fields);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const before = existing.verify_fields || null;
+    existing.verify_fields = value;
+    existing.markModified("verify_fields");
+    await existing.save();
+    await recordAudit(req, {
+      action: "employee.verify_fields_changed",
+      entity_id: eid,
+      changes: [{ field: "verify_fields", before, after: value }]
+    });
+    res.json({ success: true, verify_fields: value, effective: await verifyVisibilityFor(existing) });
+  } catch (err) {
+    console.error("PUT /api/employees/:employee_id/verify-fields error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Badge scans & attendance ----------
+// Find the employee behind a parsed scan and check any signature it carries.
+// Returns { row, employee_id } or { reason, status, employee_id? }.
+async function resolveScannedBadge(parsed) {
+  let employee_id = parsed.employee_id || null;
+
+  if (parsed.source === "offline") {
+    const result = await verifyOfflineBadge(parsed.text, await publishedOfflineKeys());
+    employee_id = result.badge ? result.badge.employee_id : null;
+    if (!result.valid) return { reason: result.reason, status: 403, employee_id };
+  } else if (parsed.source === "qr_token") {
+    const decoded = decodeVerifyToken(parsed.token);
+    employee_id = decoded && typeof decoded.claims.e === "string" ? decoded.claims.e : null;
+    if (!employee_id) return { reason: "malformed", status: 403 };
+  } else if (parsed.source === "qr_url" && !parsed.token && !ALLOW_UNSIGNED_VERIFY) {
+    return { reason: "unsigned", status: 403, employee_id };
+  }
+
+  const row = await Employee.findOne({ employee_id }).lean();
+  if (!row || row.deleted_at) return { reason: "unknown_employee", status: 404, employee_id };
+
+  if (parsed.token) {
+    const check = await checkVerifyToken(parsed.token, row);
+    if (!check.ok) return { reason: check.reason, status: 403, employee_id };
+  }
+  if (parsed.source === "offline" && decodeOfflinePayload(parsed.text).claims.v !== (row.card_version || 1)) {
+    return { reason: "superseded", status: 403, employee_id };
+  }
+  return { row, employee_id };
+}
+
+function publicScan(doc) {
+  return {
+    id: doc._id,
+    employee_id: doc.employee_id,
+    name: doc.name,
+    dept: doc.dept,
+    device_id: doc.device_id,
+    source: doc.source,
+    direction: doc.direction,
+    scanned_at: doc.scanned_at,
+    received_at: doc.received_at,
+    accepted: doc.accepted,
+    reason: doc.reason
+  };
+}
+
+// Record one scan: { payload, device_id, scanned_at?, direction? }.
+// payload is the barcode text (employee_id), the QR verify URL / token or an
+// offline QR payload. Without direction, scans alternate in/out per local day.
+// Rejected scans (unknown, not active, bad signature, duplicate) are stored too.
+app.post("/api/scans", requirePermission("scans:write"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const device_id = String(body.device_id || "").trim();
+    if (!device_id) return res.status(400).json({ success: false, error: "device_id is required" });
+
+    const parsed = parseScanPayload(body.payload);
+    if (!parsed) return res.status(400).json({ success: false, error: "payload is not a badge barcode or QR code" });
+
+    const scanned_at = body.scanned_at ? new Date(body.scanned_at) : new Date();
+    if (Number.isNaN(scanned_at.getTime())) {
+      return res.status(400).json({ success: false, error: "scanned_at is not a valid date" });
+    }
+    if (scanned_at.getTime() > Date.now() + 5 * 60 * 1000) {
+      return res.status(400).json({ success: false, error: "scanned_at is in the future (check the device clock)" });
+    }
+    let direction = body.direction || null;
+    if (direction && !SCAN_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ success: false, error: `direction must be one of ${SCAN_DIRECTIONS.join(", ")}` });
+    }
+
+    const resolved = await resolveScannedBadge(parsed);
+    const { row } = resolved;
+    const event = {
+      employee_id: resolved.employee_id || null,
+      name: row ? `${row.first_name || ""} ${row.last_name || ""}`.trim() : "",
+      dept: row ? row.dept || "" : "",
+      department_id: row ? row.department_id || null : null,
+      device_id,
+      source: parsed.source,
+      scanned_at,
+      raw: String(body.payload).slice(0, 512)
+    };
+
+    const reject = async (status, reason, message) => {
+      const doc = await ScanEvent.create({ ...event, accepted: false, reason });
+      await emitWebhookEvent("badge.scanned", { scan: publicScan(doc) });
+      res.status(status).json({ success: false, accepted: false, reason, error: message, event: publicScan(doc) });
+    };
+
+    if (!row) return reject(resolved.status, resolved.reason, `Badge rejected (${resolved.reason})`);
+
+    const cardStatus = effectiveCardStatus(row, scanned_at);
+    if (cardStatus !== "active") {
+      return reject(403, cardStatus, `Badge is ${CARD_STATUS_DISPLAY[cardStatus].label.toLowerCase()}`);
+    }
+
+    const windowMs = SCAN_DEDUP_SECONDS * 1000;
+    const recent = await ScanEvent.exists({
+      employee_id: row.employee_id,
+      accepted: true,
+      scanned_at: { $gt: new Date(scanned_at.getTime() - windowMs), $lt: new Date(scanned_at.getTime() + windowMs) }
+    });
+    if (recent) return reject(409, "duplicate", `Already scanned within ${SCAN_DEDUP_SECONDS} seconds`);
+
+    if (!direction) {
+      const previous = await ScanEvent.findOne({ employee_id: row.employee_id, accepted: true, scanned_at: { $lt: scanned_at } })
+        .sort({ scanned_at: -1 })
+        .lean();
+      const sameDay = previous && localDate(previous.scanned_at, ATTENDANCE_TIMEZONE) === localDate(scanned_at, ATTENDANCE_TIMEZONE);
+      direction = sameDay && previous.direction === "in" ? "out" : "in";
+    }
+
+    const doc = await ScanEvent.create({ ...event, direction, accepted: true });
+    await emitWebhookEvent("badge.scanned", { scan: publicScan(doc) });
+    res.json({ success: true, accepted: true, event: publicScan(doc), employee: publicBadgeView(row, await verifyVisibilityFor(row)) });
+  } catch (err) {
+    console.error("POST /api/scans error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Raw scan log (employee_id, device_id, accepted, from, to, limit, offset)
+app.get("/api/scans", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const filter = {};
+    if (req.query.employee_id) filter.employee_id = String(req.query.employee_id).trim();
+    if (req.query.device_id) filter.device_id = String(req.query.device_id).trim();
+    if (req.query.accepted !== undefined) filter.accepted = req.query.accepted === "true";
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from || to) {
+      filter.scanned_at = {};
+      if (from) filter.scanned_at.$gte = from;
+      if (to) filter.scanned_at.$lte = to;
+    }
+
+    const [scans, total] = await Promise.all([
+      ScanEvent.find(filter).sort({ scanned_at: -1 }).skip(offset).limit(limit).lean(),
+      ScanEvent.countDocuments(filter)
+    ]);
+    res.json({ success: true, scans: scans.map(publicScan), total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/scans error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Shared report params: date | from+to (local days), dept, format=json|csv
+function attendanceParams(query) {
+  const range = parseReportRange(query, ATTENDANCE_TIMEZONE);
+  if (range.error) return range;
+  const format = String(query.format || "json").toLowerCase();
+  if (!["json", "csv"].includes(format)) return { error: "format must be json or csv" };
+  const dept = String(query.dept || "").trim();
+  const match = dept ? { dept: { $regex: `^${escapeRegExp(dept)}$`, $options: "i" } } : {};
+  return { ...range, format, match, timeZone: ATTENDANCE_TIMEZONE };
+}
+
+function sendCsv(res, name, { from, to }, rows, columns) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-${from}_${to}.csv"`);
+  res.send(toCsv(rows, columns));
+}
+
+// Employees present per day, split by department
+app.get("/api/attendance/daily", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const params = attendanceParams(req.query);
+    if (params.error) return res.status(400).json({ success: false, error: params.error });
+
+    const rows = await ScanEvent.aggregate(dailyPipeline(params));
+    if (params.format === "csv") return sendCsv(res, "attendance-daily", params, rows, ["date", "dept", "present"]);
+
+    const days = [...groupBy(rows, "date")].map(([date, depts]) => ({
+      date,
+      present: depts.reduce((sum, d) => sum + d.present, 0),
+      by_dept: depts.map(d => ({ dept: d.dept, present: d.present }))
+    }));
+    res.json({ success: true, from: params.from, to: params.to, timezone: params.timeZone, days });
+  } catch (err) {
+    console.error("GET /api/attendance/daily error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// First check-in / last check-out per employee per day
+app.get("/api/attendance/first-last", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const params = attendanceParams(req.query);
+    if (params.error) return res.status(400).json({ success: false, error: params.error });
+    if (req.query.employee_id) params.match.employee_id = String(req.query.employee_id).trim();
+
+    const rows = await ScanEvent.aggregate(firstLastPipeline(params));
+    if (params.format === "csv") {
+      return sendCsv(res, "attendance-first-last", params, rows, [
+        "date", "employee_id", "name", "dept", "first_in_local", "last_out_local", "first_in", "last_out", "scans"
+      ]);
+    }
+    res.json({ success: true, from: params.from, to: params.to, timezone: params.timeZone, rows });
+  } catch (err) {
+    console.error("GET /api/attendance/first-last error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// First check-ins after ATTENDANCE_START_TIME + grace, grouped by department
+app.get("/api/attendance/late", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const params = attendanceParams(req.query);
+    if (params.error) return res.status(400).json({ success: false, error: params.error });
+
+    const rows = lateArrivals(await ScanEvent.aggregate(firstLastPipeline(params)), {
+      startTime: ATTENDANCE_START_TIME,
+      graceMinutes: ATTENDANCE_GRACE_MINUTES
+    });
+    if (params.format === "csv") {
+      return sendCsv(res, "attendance-late", params, rows, ["date", "dept", "employee_id", "name", "first_in_local", "minutes_late"]);
+    }
+
+    const departments = [...groupBy(rows, "dept")]
+      .map(([dept, arrivals]) => ({ dept, late_count: arrivals.length, arrivals }))
+      .sort((a, b) => b.late_count - a.late_count);
+    res.json({
+      success: true,
+      from: params.from,
+      to: params.to,
+      timezone: params.timeZone,
+      start_time: ATTENDANCE_START_TIME,
+      grace_minutes: ATTENDANCE_GRACE_MINUTES,
+      total: rows.length,
+      departments
+    });
+  } catch (err) {
+    console.error("GET /api/attendance/late error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Access zones & gate checks ----------
+app.get("/api/access/zones", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const zones = await AccessZone.find({}).sort({ code: 1 }).lean();
+    res.json({ success: true, zones: zones.map(publicZone) });
+  } catch (err) {
+    console.error("GET /api/access/zones error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.post("/api/access/zones", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { values, error } = parseZoneInput(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+    if (await AccessZone.exists({ code: values.code })) {
+      return res.status(400).json({ success: false, error: "A zone with this code already exists" });
+    }
+
+    const zone = await AccessZone.create(values);
+    await recordAudit(req, {
+      action: "access_zone.created",
+      entity_type: "access_zone",
+      entity_id: zone.code,
+      changes: diffFields({}, zone.toObject(), ["name", "description", "active", "rules"])
+    });
+    res.json({ success: true, zone: publicZone(zone) });
+  } catch (err) {
+    console.error("POST /api/access/zones error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Update name / description / active; `rules` replaces the whole rule list
+app.put("/api/access/zones/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const zone = await AccessZone.findOne({ code: req.params.code.toUpperCase() });
+    if (!zone) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { values, error } = parseZoneInput({ ...(req.body || {}), code: undefined }, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const before = zone.toObject();
+    zone.set(values);
+    await zone.save();
+    await recordAudit(req, {
+      action: "access_zone.updated",
+      entity_type: "access_zone",
+      entity_id: zone.code,
+      changes: diffFields(before, zone.toObject(), ["name", "description", "active", "rules"])
+    });
+    res.json({ success: true, zone: publicZone(zone) });
+  } catch (err) {
+    console.error("PUT /api/access/zones/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.delete("/api/access/zones/:code", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const zone = await AccessZone.findOneAndDelete({ code: req.params.code.toUpperCase() });
+    if (!zone) return res.status(404).json({ success: false, error: "Not found" });
+    await recordAudit(req, { action: "access_zone.deleted", entity_type: "access_zone", entity_id: zone.code });
+    res.json({ success: true, deleted: zone.code });
+  } catch (err) {
+    console.error("DELETE /api/access/zones/:code error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Gate check: { zone, payload, device_id? } -> allow / deny with a reason.
+// Decisions are always a 200 (allowed true/false) and always logged.
+// Schedules are evaluated in ATTENDANCE_TIMEZONE.
+app.post("/api/access/check", requirePermission("scans:write"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const zoneCode = String(body.zone || "").trim().toUpperCase();
+    if (!zoneCode) return res.status(400).json({ success: false, error: "zone is required" });
+    const parsed = parseScanPayload(body.payload);
+    if (!parsed) return res.status(400).json({ success: false, error: "payload is not a badge barcode or QR code" });
+
+    const zone = await AccessZone.findOne({ code: zoneCode }).lean();
+    if (!zone) return res.status(404).json({ success: false, error: `Unknown zone ${zoneCode}` });
+
+    const now = new Date();
+    const resolved = await resolveScannedBadge(parsed);
+    const { row } = resolved;
+
+    let decision;
+    if (!row) {
+      decision = { allowed: false, reason: resolved.reason, rule_id: null };
+    } else if (effectiveCardStatus(row, now) !== "active") {
+      decision = { allowed: false, reason: `card_${effectiveCardStatus(row, now)}`, rule_id: null };
+    } else {
+      const department = row.department_id ? await Department.findById(row.department_id, { code: 1 }).lean() : null;
+      decision = evaluateAccess(zone, row, { now, timeZone: ATTENDANCE_TIMEZONE, deptCode: department && department.code });
+    }
+
+    await AccessLog.create({
+      zone: zone.code,
+      employee_id: resolved.employee_id || null,
+      name: row ? `${row.first_name || ""} ${row.last_name || ""}`.trim() : "",
+      dept: row ? row.dept || "" : "",
+      position: row ? row.position || "" : "",
+      device_id: String(body.device_id || "").trim(),
+      source: parsed.source,
+      allowed: decision.allowed,
+      reason: decision.reason,
+      rule_id: decision.rule_id,
+      at: now
+    });
+
+    res.json({
+      success: true,
+      zone: zone.code,
+      allowed: decision.allowed,
+      reason: decision.reason,
+      rule_id: decision.rule_id,
+      checked_at: now,
+      employee: row ? publicBadgeView(row, await verifyVisibilityFor(row)) : null
+    });
+  } catch (err) {
+    console.error("POST /api/access/check error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Decision log (zone, employee_id, allowed, from, to, limit, offset)
+app.get("/api/access/log", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const filter = {};
+    if (req.query.zone) filter.zone = String(req.query.zone).trim().toUpperCase();
+    if (req.query.employee_id) filter.employee_id = String(req.query.employee_id).trim();
+    if (req.query.allowed !== undefined) filter.allowed = req.query.allowed === "true";
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from;
+      if (to) filter.at.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AccessLog.find(filter).sort({ at: -1 }).skip(offset).limit(limit).lean(),
+      AccessLog.countDocuments(filter)
+    ]);
+    res.json({ success: true, entries, total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/access/log error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Visitors (temporary badges) ----------
+
+// When a visitor record is deleted (TTL index on purge_at)
+function visitorPurgeAt(valid_until) {
+  return new Date(new Date(valid_until).getTime() + VISITOR_RETENTION_DAYS * DAY_MS);
+}
+
+// Mark visitors whose window has ended as expired and check out anyone still
+// signed in (as of valid_until). Runs every VISITOR_SWEEP_MINUTES.
+async function expireVisitors() {
+  const rows = await Visitor.find({ status: "active", valid_until: { $lte: new Date() } }).lean();
+  let expired = 0;
+  for (const row of rows) {
+    const update = { status: "expired" };
+    if (row.checked_in_at && !row.checked_out_at) Object.assign(update, { checked_out_at: row.valid_until, auto_checked_out: true });
+    // only if nobody revoked it (or swept it on another instance) meanwhile
+    const doc = await Visitor.findOneAndUpdate({ _id: row._id, status: "active" }, { $set: update }, { new: true }).lean();
+    if (!doc) continue;
+    expired++;
+    await recordAudit(null, {
+      action: "visitor.expired",
+      entity_type: "visitor",
+      entity_id: doc.visitor_id,
+      meta: { valid_until: doc.valid_until, auto_checked_out: doc.auto_checked_out }
+    });
+    await emitWebhookEvent("visitor.expired", { visitor: publicVisitor(doc) });
+  }
+  if (expired > 0) console.log(`🕒 Expired ${expired} visitor badge(s)`);
+  return expired;
+}
+
+// Host employee for a visitor, or null when the ID is unknown / trashed
+async function findVisitorHost(employee_id) {
+  return Employee.findOne({ employee_id, deleted_at: null }, { employee_id: 1, first_name: 1, last_name: 1 }).lean();
+}
+
+// Visitor + verify link + default-option codes, as returned by create and get
+async function visitorResponse(req, visitor) {
+  const verifyUrl = await buildVisitorVerifyUrl(req, visitor);
+  const [qrDataUrl, barcodeDataUrl] = await Promise.all([makeQRDataURL(verifyUrl), makeBarcodeDataURL(visitor.visitor_id)]);
+  return { success: true, visitor: publicVisitor(visitor), qrDataUrl, barcodeDataUrl, verifyUrl };
+}
+
+// Register a visitor / contractor: { first_name, last_name, purpose, host_employee_id,
+// valid_until, valid_from? (default now), company?, email?, contact?, visitor_type? }
+app.post("/api/visitors", requirePermission("visitors:write"), async (req, res) => {
+  try {
+    const { values, error } = parseVisitorInput(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+    const now = new Date();
+    if (!values.valid_from) values.valid_from = now;
+    const windowError = checkVisitWindow(values, { maxDays: VISITOR_MAX_DAYS, now });
+    if (windowError) return res.status(400).json({ success: false, error: windowError });
+
+    const host = await findVisitorHost(values.host_employee_id);
+    if (!host) return res.status(400).json({ success: false, error: `No employee with ID ${values.host_employee_id}` });
+
+    const visitor = await Visitor.create({
+      ...values,
+      visitor_id: await generateVisitorId(),
+      host_name: `${host.first_name} ${host.last_name}`.trim(),
+      created_by: req.auth ? req.auth.name : null,
+      purge_at: visitorPurgeAt(values.valid_until)
+    });
+    const saved = visitor.toObject();
+    await recordAudit(req, {
+      action: "visitor.created",
+      entity_type: "visitor",
+      entity_id: saved.visitor_id,
+      changes: diffFields({}, saved, VISITOR_AUDITED_FIELDS)
+    });
+    await emitWebhookEvent("visitor.created", { visitor: publicVisitor(saved) });
+    res.json(await visitorResponse(req, saved));
+  } catch (err) {
+    console.error("POST /api/visitors error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// List visitors (?status=active|not_yet_valid|expired|revoked, host, type, q, from, to
+// (window overlaps the range), limit, offset), newest first
+app.get("/api/visitors", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const now = new Date();
+    const clauses = [];
+    if (req.query.status) {
+      const status = String(req.query.status);
+      if (!VISITOR_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${VISITOR_STATUSES.join(", ")}` });
+      }
+      clauses.push(visitorStatusFilter(status, now));
+    }
+    if (req.query.host) clauses.push({ host_employee_id: String(req.query.host).trim().toUpperCase() });
+    if (req.query.type) clauses.push({ visitor_type: String(req.query.type).trim().toLowerCase() });
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegExp(String(req.query.q).trim()), "i");
+      clauses.push({ $or: [{ first_name: rx }, { last_name: rx }, { company: rx }, { visitor_id: rx }] });
+    }
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from) clauses.push({ valid_until: { $gte: from } });
+    if (to) clauses.push({ valid_from: { $lte: to } });
+    const filter = clauses.length > 0 ? { $and: clauses } : {};
+
+    const [rows, total] = await Promise.all([
+      Visitor.find(filter).sort({ created_at: -1 }).skip(offset).limit(limit).lean(),
+      Visitor.countDocuments(filter)
+    ]);
+    res.json({ success: true, visitors: rows.map(v => publicVisitor(v, now)), total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/visitors error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Who is on site now: checked in, not checked out, badge still valid.
+// Earliest arrival first; ?host= narrows to one host's visitors.
+app.get("/api/visitors/on-site", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const now = new Date();
+    const filter = { ...visitorStatusFilter("active", now), checked_in_at: { $ne: null }, checked_out_at: null };
+    if (req.query.host) filter.host_employee_id = String(req.query.host).trim().toUpperCase();
+    const rows = await Visitor.find(filter).sort({ checked_in_at: 1 }).lean();
+    res.json({ success: true, as_of: now, total: rows.length, visitors: rows.map(v => publicVisitor(v, now)) });
+  } catch (err) {
+    console.error("GET /api/visitors/on-site error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Run the expiry sweep now instead of waiting for the schedule
+app.post("/api/admin/visitors/expire", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const expired = await expireVisitors();
+    res.json({ success: true, expired });
+  } catch (err) {
+    console.error("POST /api/admin/visitors/expire error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.get("/api/visitors/:visitor_id", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id }).lean();
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    res.json(await visitorResponse(req, visitor));
+  } catch (err) {
+    console.error("GET /api/visitors/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Update details or the window. Revoked and expired badges are final: register
+// the visitor again instead.
+app.put("/api/visitors/:visitor_id", requirePermission("visitors:write"), async (req, res) => {
+  try {
+    const { values, error } = parseVisitorInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id });
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    const before = visitor.toObject();
+    const status = effectiveVisitorStatus(before);
+    if (status === "revoked" || status === "expired") {
+      return res.status(409).json({ success: false, error: `Badge is ${status}; register the visitor again` });
+    }
+
+    if (values.valid_from || values.valid_until) {
+      const range = { valid_from: values.valid_from || before.valid_from, valid_until: values.valid_until || before.valid_until };
+      const windowError = checkVisitWindow(range, { maxDays: VISITOR_MAX_DAYS });
+      if (windowError) return res.status(400).json({ success: false, error: windowError });
+      values.purge_at = visitorPurgeAt(range.valid_until);
+    }
+    if (values.host_employee_id && values.host_employee_id !== before.host_employee_id) {
+      const host = await findVisitorHost(values.host_employee_id);
+      if (!host) return res.status(400).json({ success: false, error: `No employee with ID ${values.host_employee_id}` });
+      values.host_name = `${host.first_name} ${host.last_name}`.trim();
+    }
+
+    visitor.set(values);
+    await visitor.save();
+    const after = visitor.toObject();
+    const changes = diffFields(before, after, VISITOR_AUDITED_FIELDS);
+    if (changes.length > 0) {
+      await recordAudit(req, { action: "visitor.updated", entity_type: "visitor", entity_id: after.visitor_id, changes });
+      await emitWebhookEvent("visitor.updated", { visitor: publicVisitor(after), changed: changes.map(c => c.field) });
+    }
+    res.json({ success: true, visitor: publicVisitor(after) });
+  } catch (err) {
+    console.error("PUT /api/visitors/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Revoke a badge before its window ends ({ reason? }); checks the visitor out
+app.post("/api/visitors/:visitor_id/revoke", requirePermission("visitors:write"), async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id });
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    const status = effectiveVisitorStatus(visitor);
+    if (status === "revoked" || status === "expired") {
+      return res.status(409).json({ success: false, error: `Badge is already ${status}` });
+    }
+
+    const now = new Date();
+    visitor.status = "revoked";
+    visitor.revoked_at = now;
+    visitor.revoke_reason = String((req.body && req.body.reason) || "").trim().slice(0, 200);
+    if (visitor.checked_in_at && !visitor.checked_out_at) visitor.checked_out_at = now;
+    await visitor.save();
+    const after = visitor.toObject();
+    await recordAudit(req, { action: "visitor.revoked", entity_type: "visitor", entity_id: after.visitor_id, meta: { reason: after.revoke_reason } });
+    await emitWebhookEvent("visitor.revoked", { visitor: publicVisitor(after) });
+    res.json({ success: true, visitor: publicVisitor(after) });
+  } catch (err) {
+    console.error("POST /api/visitors/:id/revoke error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Reception / kiosk check-in. Only a currently valid badge can check in; a visitor
+// who checked out may check in again while the badge is valid.
+app.post("/api/visitors/:visitor_id/check-in", requirePermission("visitors:checkin"), async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id });
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    const status = effectiveVisitorStatus(visitor);
+    if (status !== "active") {
+      return res.status(403).json({ success: false, error: `Badge is ${CARD_STATUS_DISPLAY[status].label.toLowerCase()}`, status });
+    }
+    if (visitor.checked_in_at && !visitor.checked_out_at) {
+      return res.status(409).json({ success: false, error: "Visitor is already checked in" });
+    }
+
+    visitor.checked_in_at = new Date();
+    visitor.checked_out_at = null;
+    await visitor.save();
+    const after = visitor.toObject();
+    await recordAudit(req, { action: "visitor.checked_in", entity_type: "visitor", entity_id: after.visitor_id });
+    await emitWebhookEvent("visitor.checked_in", { visitor: publicVisitor(after) });
+    res.json({ success: true, visitor: publicVisitor(after) });
+  } catch (err) {
+    console.error("POST /api/visitors/:id/check-in error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.post("/api/visitors/:visitor_id/check-out", requirePermission("visitors:checkin"), async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id });
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    if (!visitor.checked_in_at || visitor.checked_out_at) {
+      return res.status(409).json({ success: false, error: "Visitor is not checked in" });
+    }
+
+    visitor.checked_out_at = new Date();
+    await visitor.save();
+    const after = visitor.toObject();
+    await recordAudit(req, { action: "visitor.checked_out", entity_type: "visitor", entity_id: after.visitor_id });
+    await emitWebhookEvent("visitor.checked_out", { visitor: publicVisitor(after) });
+    res.json({ success: true, visitor: publicVisitor(after) });
+  } catch (err) {
+    console.error("POST /api/visitors/:id/check-out error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Download the visitor QR (signed verify link); same options as the employee /qr route
+app.get("/api/visitors/:visitor_id/qr", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const { options, error } = parseQrOptions(req.query);
+    if (error) return res.status(400).send(error);
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id }).lean();
+    if (!visitor) return res.status(404).send("Not found");
+
+    const vid = visitor.visitor_id;
+    const content = await buildVisitorVerifyUrl(req, visitor);
+    sendCode(res, await cachedCode(codeCacheKey("qr", vid, content, options), () => renderQr(content, options)), `${vid}-qr`);
+  } catch (err) {
+    console.error("GET /api/visitors/:id/qr error:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// Download the visitor barcode (encodes visitor_id); same options as the employee /barcode route
+app.get("/api/visitors/:visitor_id/barcode", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const { options, error } = parseBarcodeOptions(req.query);
+    if (error) return res.status(400).send(error);
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id }).lean();
+    if (!visitor) return res.status(404).send("Not found");
+
+    const vid = visitor.visitor_id;
+    try {
+      sendCode(res, await cachedCode(codeCacheKey("barcode", vid, vid, options), () => renderBarcode(vid, options)), `${vid}-barcode`);
+    } catch (err) {
+      if (/^bwipp?\./.test(String(err.message || err))) return res.status(400).send(`Cannot encode as ${options.symbology}: ${err.message}`);
+      throw err;
+    }
+  } catch (err) {
+    console.error("GET /api/visitors/:id/barcode error:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// Printable CR80 visitor badge (?format=pdf|png&side=front|back), see VISITOR_CARD_TEMPLATE
+app.get("/api/visitors/:visitor_id/badge", requirePermission("visitors:read"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "pdf").toLowerCase();
+    const side = req.query.side ? String(req.query.side).toLowerCase() : "";
+    if (!["pdf", "png"].includes(format)) {
+      return res.status(400).json({ success: false, error: "format must be pdf or png" });
+    }
+    if (side && !CARD_SIDES.includes(side)) {
+      return res.status(400).json({ success: false, error: "side must be front or back" });
+    }
+
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id }).lean();
+    if (!visitor) return res.status(404).json({ success: false, error: "Not found" });
+    const status = effectiveVisitorStatus(visitor);
+    if (status === "revoked" || status === "expired") {
+      return res.status(409).json({ success: false, error: `Badge is ${status}` });
+    }
+
+    const vid = visitor.visitor_id;
+    const template = resolveCardTemplate({ ...VISITOR_CARD_TEMPLATE, header_text: visitor.visitor_type.toUpperCase() });
+    const [qr, barcode, logo] = await Promise.all([
+      buildVisitorVerifyUrl(req, visitor).then(makeQRCodeBuffer),
+      makeBarcodeBuffer(vid, template.barcode),
+      fetchImage(process.env.COMPANY_LOGO_URL)
+    ]);
+    const data = { employee: visitorCardRow(visitor), companyCode: COMPANY_CODE, qr, barcode, photo: null, logo, template };
+
+    if (format === "png") {
+      const pngSide = side || "front";
+      res.setHeader("Content-Type", "image/png");
+      res.setHeader("Content-Disposition", `attachment; filename="${vid}-badge-${pngSide}.png"`);
+      return res.send(await renderCardPng(pngSide, data));
+    }
+    const buffer = await renderCardPdf(data, { sides: side ? [side] : CARD_SIDES });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${vid}-badge.pdf"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("GET /api/visitors/:id/badge error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Outbound webhooks ----------
+// Subscriptions are signed with their own secret; deliveries are queued in
+// WebhookDelivery and sent by the worker started in start() (see lib/webhooks.js).
+app.get("/api/webhooks", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const hooks = await Webhook.find({}).sort({ createdAt: 1 }).lean();
+    res.json({ success: true, webhooks: hooks.map(publicWebhook) });
+  } catch (err) {
+    console.error("GET /api/webhooks error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Subscribe ({ url, events, description? }); the secret is only returned here
+app.post("/api/webhooks", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { values, error } = parseWebhookInput(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+
+    const secret = generateWebhookSecret();
+    const hook = await Webhook.create({ ...values, secret, created_by: req.auth ? req.auth.name : null });
+    await recordAudit(req, {
+      action: "webhook.created",
+      entity_type: "webhook",
+      entity_id: String(hook._id),
+      changes: diffFields({}, hook.toObject(), ["url", "description", "events", "active"])
+    });
+    res.json({ success: true, webhook: publicWebhook(hook), secret });
+  } catch (err) {
+    console.error("POST /api/webhooks error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Update url / events / description / active
+app.put("/api/webhooks/:id", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, error: "Not found" });
+    const hook = await Webhook.findById(req.params.id);
+    if (!hook) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { values, error } = parseWebhookInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const before = hook.toObject();
+    hook.set(values);
+    await hook.save();
+    await recordAudit(req, {
+      action: "webhook.updated",
+      entity_type: "webhook",
+      entity_id: String(hook._id),
+      changes: diffFields(before, hook.toObject(), ["url", "description", "events", "active"])
+    });
+    res.json({ success: true, webhook: publicWebhook(hook) });
+  } catch (err) {
+    console.error("PUT /api/webhooks/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Unsubscribe; queued deliveries fail on their next attempt, the log is kept
+app.delete("/api/webhooks/:id", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, error: "Not found" });
+    const hook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!hook) return res.status(404).json({ success: false, error: "Not found" });
+    await recordAudit(req, { action: "webhook.deleted", entity_type: "webhook", entity_id: String(hook._id), meta: { url: hook.url } });
+    res.json({ success: true, deleted: hook._id });
+  } catch (err) {
+    console.error("DELETE /api/webhooks/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Delivery log (webhook_id, status, event, event_id, limit, offset), newest first
+app.get("/api/webhooks/deliveries", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const filter = {};
+    if (req.query.webhook_id) {
+      if (!mongoose.isValidObjectId(req.query.webhook_id)) return res.status(400).json({ success: false, error: "webhook_id is not valid" });
+      filter.webhook_id = req.query.webhook_id;
+    }
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.event) filter.event = String(req.query.event);
+    if (req.query.event_id) filter.event_id = String(req.query.event_id);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    res.json({ success: true, deliveries: deliveries.map(publicDelivery), total, limit, offset });
+  } catch (err) {
+    console.error("GET /api/webhooks/deliveries error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Send a finished delivery again (same event id and payload, fresh attempts)
+app.post("/api/webhooks/deliveries/:id/redeliver", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, error: "Not found" });
+    const delivery = await WebhookDelivery.findById(req.params.id).lean();
+    if (!delivery) return res.status(404).json({ success: false, error: "Not found" });
+    if (!["failed", "succeeded"].includes(delivery.status)) {
+      return res.status(409).json({ success: false, error: `Delivery is still ${delivery.status}` });
+    }
+    if (!(await Webhook.exists({ _id: delivery.webhook_id, active: true }))) {
+      return res.status(409).json({ success: false, error: "Subscription is deleted or disabled" });
+    }
+
+    const copy = await redeliver(delivery);
+    await recordAudit(req, {
+      action: "webhook.redelivered",
+      entity_type: "webhook",
+      entity_id: String(delivery.webhook_id),
+      meta: { delivery_id: String(delivery._id), event: delivery.event, event_id: delivery.event_id }
+    });
+    res.json({ success: true, delivery: publicDelivery(copy) });
+  } catch (err) {
+    console.error("POST /api/webhooks/deliveries/:id/redeliver error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Legacy SQLite import ----------
+// Copy employees from the legacy SQLite database (LEGACY_SQLITE_PATH) into MongoDB.
+// dryRun defaults to true. Safe to re-run: rows already carrying their
+// migrated_from_sqlite_id are skipped. Original IDs are kept when well-formed;
+// a row whose ID or person (email / contact / name + dob) already exists, in
+// MongoDB or earlier in the legacy database, is reported as a conflict and left
+// out. Photos are read from LEGACY_UPLOADS_DIR and go through the normal upload
+// pipeline.
+app.post("/api/admin/legacy-import", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = !(body.dryRun === false || body.dryRun === "false");
+
+    let rows;
+    try {
+      rows = await readLegacyEmployees(LEGACY_SQLITE_PATH);
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return res.status(404).json({ success: false, error: `Legacy database not found (${path.basename(LEGACY_SQLITE_PATH)})` });
+      }
+      throw err;
+    }
+
+    const alreadyImported = new Set(await Employee.distinct("migrated_from_sqlite_id", { migrated_from_sqlite_id: { $ne: null } }));
+    // the legacy database can hold the same person or ID twice, not only MongoDB
+    const seen = { employee_id: new Map(), email: new Map(), contact: new Map(), nameDob: new Map() };
+    const report = [];
+
+    for (const row of rows) {
+      const legacy = mapLegacyRow(row);
+      const entry = { legacy_id: legacy.legacy_id, legacy_employee_id: legacy.employee_id || null, status: "valid", errors: [], warnings: [] };
+      report.push(entry);
+
+      if (alreadyImported.has(legacy.legacy_id)) {
+        entry.status = "skipped";
+        entry.errors.push("Already imported");
+        continue;
+      }
+
+      const { values, errors } = validateEmployeeInput(legacy.fields);
+      const resolved = errors.length === 0 ? await resolveEmployeeDept(values.dept) : {};
+      if (errors.length > 0 || resolved.error) {
+        entry.status = "skipped";
+        entry.field_errors = errors;
+        entry.errors.push(...errors.map(e => e.message), ...(resolved.error ? [resolved.error] : []));
+        continue;
+      }
+
+      const idCheck = checkExternalEmployeeId(legacy.employee_id);
+      if (idCheck.valid) {
+        const taken = await Employee.exists({ employee_id: legacy.employee_id });
+        if (taken) {
+          entry.status = "conflict";
+          entry.errors.push(`employee_id ${legacy.employee_id} already exists`);
+          continue;
+        }
+      } else {
+        entry.warnings.push(`Original ID "${legacy.employee_id}" is not well-formed; a new ID will be issued`);
+      }
+
+      const keys = {
+        employee_id: idCheck.valid ? legacy.employee_id : "",
+        email: values.email ? values.email.toLowerCase() : "",
+        contact: values.contact || "",
+        nameDob: values.dob ? `${values.first_name}|${values.last_name}|${values.dob}`.toLowerCase() : ""
+      };
+      const sameFileRow = Object.keys(keys).map(k => keys[k] && seen[k].get(keys[k])).find(Boolean);
+      if (sameFileRow) {
+        entry.status = "conflict";
+        entry.errors.push(`Duplicate of legacy row ${sameFileRow} in this database`);
+        entry.duplicate_of_legacy_id = sameFileRow;
+        continue;
+      }
+
+      const duplicate = await findDuplicateEmployee(values);
+      if (duplicate) {
+        entry.status = "conflict";
+        entry.errors.push(duplicateError(duplicate));
+        entry.duplicate_of = duplicate.employee_id;
+        continue;
+      }
+      for (const k of Object.keys(keys)) if (keys[k]) seen[k].set(keys[k], legacy.legacy_id);
+
+      const photoFile = await readLegacyPhoto(legacy.photo_path, LEGACY_UPLOADS_DIR);
+      if (legacy.photo_path && !photoFile) entry.warnings.push(`Photo ${legacy.photo_path} not found; imported without photo`);
+
+      if (dryRun) {
+        if (photoFile) {
+          try {
+            await normalizePhoto(photoFile.buffer, photoOptions());
+          } catch (err) {
+            if (!(err instanceof PhotoRejectedError)) throw err;
+            entry.warnings.push(`Photo rejected (${err.message}); imported without photo`);
+          }
+        }
+        entry.employee_id = idCheck.valid ? legacy.employee_id : null;
+        continue;
+      }
+
+      try {
+        let photo = { ...NO_PHOTO };
+        if (photoFile) {
+          try {
+            // the legacy database has no photo dates; assume the photo is as old as the record
+            photo = { ...(await storeEmployeePhoto(photoFile.buffer, photoFile.filename)), photo_updated_at: legacy.created_at };
+          } catch (err) {
+            if (!(err instanceof PhotoRejectedError)) throw err;
+            entry.warnings.push(`Photo rejected (${err.message}); imported without photo`);
+          }
+        }
+
+        let employee_id = legacy.employee_id;
+        if (!idCheck.valid) employee_id = await generateEmployeeId(resolved);
+        else if (idCheck.sequenceKey) await advanceSequence(idCheck.sequenceKey, idCheck.serial);
+
+        const created = await new Employee({
+          ...values,
+          dept: resolved.dept,
+          department_id: resolved.department ? resolved.department._id : null,
+          employee_id,
+          ...photo,
+          card_issued_at: legacy.created_at,
+          card_history: [{ version: 1, action: "issued", status: "active", reason: "legacy sqlite import", at: legacy.created_at }],
+          created_at: legacy.created_at,
+          migrated_from_sqlite_id: legacy.legacy_id
+        }).save();
+        await recordAudit(req, {
+          action: "employee.created",
+          entity_id: employee_id,
+          changes: diffFields({}, { ...values, photo_url: photo.photo_url }),
+          meta: { source: "legacy_sqlite", legacy_id: legacy.legacy_id }
+        });
+        await emitWebhookEvent("employee.created", { employee: webhookEmployee(created.toObject()), source: "legacy_sqlite" });
+        entry.status = "imported";
+        entry.employee_id = employee_id;
+      } catch (err) {
+        console.error(`Legacy import of row ${legacy.legacy_id} failed:`, err);
+        entry.status = "failed";
+        entry.errors.push(String(err.message || err));
+      }
+    }
+
+    const count = status => report.filter(r => r.status === status).length;
+    res.json({
+      success: true,
+      dryRun,
+      total: report.length,
+      valid: count("valid"),
+      imported: count("imported"),
+      skipped: count("skipped"),
+      conflicts: count("conflict"),
+      failed: count("failed"),
+      rows: report
+    });
+  } catch (err) {
+    console.error("POST /api/admin/legacy-import error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Verification signing keys ----------
+
+// List signing keys (secrets are never returned)
+app.get("/api/admin/signing-keys", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { keys } = await loadSigningKeys(true);
+    res.json({ success: true, keys: [...keys.values()].map(publicKeyInfo) });
+  } catch (err) {
+    console.error("GET /api/admin/signing-keys error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Rotate (?alg=hmac-sha256|ed25519): new cards are signed with a fresh key, old cards keep verifying
+app.post("/api/admin/signing-keys/rotate", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const alg = String(req.query.alg || (req.body && req.body.alg) || "hmac-sha256").toLowerCase();
+    if (!SIGNING_ALGS.includes(alg)) {
+      return res.status(400).json({ success: false, error: `alg must be one of ${SIGNING_ALGS.join(", ")}` });
+    }
+    const key = await rotateSigningKey(alg);
+    res.json({ success: true, key: publicKeyInfo(key) });
+  } catch (err) {
+    console.error("POST /api/admin/signing-keys/rotate error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Retire: cards signed with this key stop verifying and must be reissued
+app.post("/api/admin/signing-keys/:kid/retire", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const result = await retireSigningKey(req.params.kid);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    res.json({ success: true, key: publicKeyInfo(result.key) });
+  } catch (err) {
+    console.error("POST /api/admin/signing-keys/:kid/retire error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Users & API keys (admin) ----------
+
+app.get("/api/admin/users", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ username: 1 }).lean();
+    res.json({ success: true, users: users.map(publicUser) });
+  } catch (err) {
+    console.error("GET /api/admin/users error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.post("/api/admin/users", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { username = "", password = "", role = "viewer" } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string" || typeof role !== "string") {
+      return res.status(400).json({ success: false, error: "username, password and role must be strings" });
+    }
+    if (!username.trim() || !password) {
+      return res.status(400).json({ success: false, error: "username and password are required" });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(", ")}` });
+    }
+    if (password.length < 10) {
+      return res.status(400).json({ success: false, error: "password must be at least 10 characters" });
+    }
+    const exists = await User.findOne({ username: username.trim().toLowerCase() }).lean();
+    if (exists) return res.status(400).json({ success: false, error: "Username already exists" });
+
+    const user = await User.create({ username, password_hash: await hashPassword(password), role });
+    res.json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    console.error("POST /api/admin/users error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Change role / password / active flag
+app.put("/api/admin/users/:username", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username.toLowerCase() });
+    if (!user) return res.status(404).json({ success: false, error: "Not found" });
+
+    const { role, password, active } = req.body || {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(", ")}` });
+      }
+      user.role = role;
+    }
+    if (password !== undefined) {
+      if (typeof password !== "string") return res.status(400).json({ success: false, error: "password must be a string" });
+      if (password.length < 10) {
+        return res.status(400).json({ success: false, error: "password must be at least 10 characters" });
+      }
+      user.password_hash = await hashPassword(password);
+    }
+    if (active !== undefined) user.active = active === true || active === "true";
+
+    if (String(user._id) === req.auth.id && (user.role !== "admin" || !user.active)) {
+      return res.status(400).json({ success: false, error: "You cannot demote or disable your own account" });
+    }
+
+    await user.save();
+    res.json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    console.error("PUT /api/admin/users/:username error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+app.get("/api/admin/api-keys", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const keys = await ApiKey.find({}).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, keys: keys.map(publicApiKey) });
+  } catch (err) {
+    console.error("GET /api/admin/api-keys error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Create an API key; the plaintext key is only ever returned here
+app.post("/api/admin/api-keys", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    const { name = "", role = "viewer" } = req.body || {};
+    if (typeof name !== "string" || typeof role !== "string") {
+      return res.status(400).json({ success: false, error: "name and role must be strings" });
+    }
+    if (!name.trim()) return res.status(400).json({ success: false, error: "name is required" });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(", ")}` });
+    }
+    const { key, prefix, key_hash } = generateApiKey();
+    const doc = await ApiKey.create({ name, prefix, key_hash, role });
+    res.json({ success: true, key, apiKey: publicApiKey(doc) });
+  } catch (err) {
+    console.error("POST /api/admin/api-keys error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Revoke an API key
+app.delete("/api/admin/api-keys/:id", requirePermission("admin:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, error: "Not found" });
+    const doc = await ApiKey.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+    if (!doc) return res.status(404).json({ success: false, error: "Not found" });
+    res.json({ success: true, apiKey: publicApiKey(doc) });
+  } catch (err) {
+    console.error("DELETE /api/admin/api-keys/:id error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// ---------- Offline verification (public) ----------
+
+// Ed25519 public keys for offline QR payloads; scanner apps cache this while online
+app.get("/.well-known/badge-keys.json", async (req, res) => {
+  try {
+    const keys = await publishedOfflineKeys();
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.json({ issuer: COMPANY_CODE, keys });
+  } catch (err) {
+    console.error("GET /.well-known/badge-keys.json error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Dependency-free ES module scanners can import to verify payloads offline
+app.get("/.well-known/badge-verify.js", (req, res) => {
+  res.type("application/javascript");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.sendFile(path.join(__dirname, "lib", "offlineVerify.js"));
+});
+
+// Structured verdict for guard / scanner apps (public). :token is the t= value of
+// the QR link (employee or visitor badge, see badge_type). Every verdict is a 200
+// with valid true/false and a reason, so clients don't have to tell HTTP errors
+// from rejected badges.
+app.get("/api/verify/:token", async (req, res) => {
+  try {
+    const checked_at = new Date();
+    const verdict = (valid, reason, extra = {}) => res.json({ success: true, valid, reason, checked_at, ...extra });
+
+    // signature first: every unsigned or forged token gets the same "invalid"
+    const signed = await checkTokenSignature(req.params.token);
+    if (!signed.ok) return verdict(false, signed.reason === "retired_key" ? "retired_key" : "invalid");
+    const { claims } = signed;
+    if (typeof claims.e !== "string") return verdict(false, "invalid");
+    if (claims.t === "visitor") {
+      const visitor = await Visitor.findOne({ visitor_id: claims.e }).lean();
+      if (!visitor) return verdict(false, "not_found", { badge_type: "visitor" });
+      const check = await checkVisitorToken(req.params.token, visitor);
+      if (!check.ok) return verdict(false, check.reason, { badge_type: "visitor" });
+
+      const status = effectiveVisitorStatus(visitor, checked_at);
+      return verdict(status === "active", status === "active" ? null : status, {
+        badge_type: "visitor",
+        status,
+        status_label: CARD_STATUS_DISPLAY[status].label,
+        valid_from: visitor.valid_from,
+        valid_until: visitor.valid_until,
+        visitor: publicVisitorBadge(visitor)
+      });
+    }
+    const row = await Employee.findOne({ employee_id: claims.e }).lean();
+    if (!row) return verdict(false, "not_found");
+    if (row.deleted_at) return verdict(false, "deleted");
+
+    const check = await checkVerifyToken(req.params.token, row);
+    if (!check.ok) return verdict(false, check.reason);
+
+    const status = effectiveCardStatus(row);
+    verdict(status === "active", status === "active" ? null : status, {
+      badge_type: "employee",
+      status,
+      status_label: CARD_STATUS_DISPLAY[status].label,
+      valid_from: row.valid_from || null,
+      valid_until: row.valid_until || null,
+      employee: publicBadgeView(row, await verifyVisibilityFor(row))
+    });
+  } catch (err) {
+    console.error("GET /api/verify/:token error:", err);
+    res.status(500).json({ success: false, error: String(err) });
+  }
+});
+
+// Public verify page for one badge; colours and logo come from the badge's card template
+function verifyPageHtml({ row, visible, template }) {
+  const cardStatus = effectiveCardStatus(row);
+  const statusDisplay = CARD_STATUS_DISPLAY[cardStatus];
+  const view = publicBadgeView(row, visible);
+  const { colors } = template;
+  const logoUrl = template.logo_url || process.env.COMPANY_LOGO_URL || "";
+  // one line per visible field; photo and address have their own blocks
+  const metaRows = Object.entries(VERIFY_FIELDS)
+    .filter(([field]) => visible[field] && field !== "photo" && field !== "address")
+    .map(([field, label]) => `<div class="meta"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(view[field] || "-")}</div>`)
+    .join("\n        ");
+
+  return `
+  <html>
+  <head>
+    <title>${escapeHtml(row.first_name)} ${escapeHtml(row.last_name)} - ${escapeHtml(COMPANY_CODE)} Employee</title>
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <style>
+      body { font-family: 'Inter', sans-serif; background: #F1EFEC; color: ${colors.text}; display:flex; align-items:center; justify-content:center; height:100vh; margin:0; padding:16px; }
+      .card { background:${colors.background}; border-radius:16px; box-shadow:0 6px 18px rgba(0,0,0,0.1); padding:24px; width:360px; text-align:center; border-top:6px solid ${colors.primary}; position:relative; }
+      .logo { width:84px; height:auto; margin:0 auto 12px auto; display:block; }
+      img.photo { width:160px; height:160px; object-fit:cover; border-radius:12px; border:4px solid ${colors.accent}; margin:12px auto; display:block; }
+      h2{ margin:8px 0 0 0; color:${colors.primary}; font-size:20px; }
+      .id{ font-family:'Roboto Mono', monospace; color:${colors.muted}; font-size:13px; margin:8px 0 12px 0; letter-spacing:0.6px; }
+      .meta { text-align:left; margin:8px 0; font-size:14px; color:#222; }
+      .meta strong { color:#333; }
+      .address { white-space: pre-wrap; word-break: break-word; text-align:left; max-height:120px; overflow:auto; background:#fafafa; padding:8px; border-radius:6px; border:1px solid #eee; color:#333; }
+      p{ margin:8px 0; }
+      hr{ margin:16px 0; border:none; border-top:1px solid #eee; }
+      .brand{ margin-top:10px; font-weight:bold; color:${colors.accent}; letter-spacing:1px; }
+      .status{ margin:0 -24px 16px -24px; padding:10px; color:#fff; font-weight:bold; font-size:18px; letter-spacing:2px; }
+      .status small{ display:block; font-weight:normal; font-size:12px; letter-spacing:0; margin-top:4px; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <div class="status" style="background:${statusDisplay.color};">
+        ${escapeHtml(statusDisplay.label)}
+        ${row.valid_until ? `<small>Valid until ${escapeHtml(new Date(row.valid_until).toISOString().slice(0, 10))}</small>` : ""}
+      </div>
+      ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" class="logo" alt="${escapeHtml(COMPANY_CODE)} logo" />` : ""}
+      ${view.photo_url ? `<img src="${escapeHtml(view.photo_url)}" class="photo" alt="Employee Photo"/>` : ""}
+      <h2>${escapeHtml(row.first_name)} ${escapeHtml(row.last_name)}</h2>
+      <div class="id">${escapeHtml(row.employee_id)}</div>
+
+      ${metaRows}
+
+      ${visible.address
+        ? `<div style="margin-top:8px;">
+        <div style="font-weight:600; text-align:left; margin-bottom:6px;">Address</div>
+        <div class="address">${escapeHtml(view.address || "-")}</div>
+      </div>`
+        : ""}
+
+      <hr />
+      ${cardStatus === "active"
+        ? `<div class="brand">Verified by ${escapeHtml(COMPANY_CODE)}</div>`
+        : `<div class="brand" style="color:${statusDisplay.color};">This badge is not valid — do not grant access</div>`}
+    </div>
+  </body>
+  </html>`;
+}
+
+// Public verification page (simple HTML)
+app.get("/verify/:employee_id", async (req, res) => {
+  try {
+    const eid = req.params.employee_id;
+    const row = await Employee.findOne({ employee_id: eid }).lean();
+    if (!row) return res.status(404).send("<h2>Employee not found</h2>");
+    if (row.deleted_at) {
+      return res.status(410).send(`<h2>Invalid badge</h2><p>This badge is no longer valid. Please contact ${escapeHtml(COMPANY_CODE)}.</p>`);
+    }
+
+    // Signed QR links carry ?t=<token>; plain links only pass while migration is enabled
+    const token = req.query.t ? String(req.query.t) : "";
+    if (token) {
+      const check = await checkVerifyToken(token, row);
+      if (!check.ok) {
+        const message = check.reason === "superseded"
+          ? "This badge has been replaced by a newer card and is no longer valid."
+          : `This badge could not be verified (${escapeHtml(check.reason)}).`;
+        return res.status(403).send(`<h2>Invalid verification link</h2><p>${message} Please contact ${escapeHtml(COMPANY_CODE)}.</p>`);
+      }
+    } else if (!ALLOW_UNSIGNED_VERIFY) {
+      return res.status(403).send("<h2>Invalid verification link</h2><p>This link is not signed. Please scan the QR code on the badge.</p>");
+    }
+
+    const visible = await verifyVisibilityFor(row);
+    const html = verifyPageHtml({ row, visible, template: await cardTemplateFor(row) });
+    res.send(html);
+  } catch (err) {
+    console.error("GET /verify error:", err);
+    res.status(500).send("<h2>Server error</h2>");
+  }
+});
+
+// Public verify page for a visitor badge: "VISITOR – valid until …" while valid
+function visitorPageHtml(visitor) {
+  const status = effectiveVisitorStatus(visitor);
+  const badge = publicVisitorBadge(visitor);
+  const { colors } = DEFAULT_CARD_TEMPLATE;
+  const type = badge.visitor_type.toUpperCase();
+  const until = formatVisitTime(visitor.valid_until, ATTENDANCE_TIMEZONE);
+  const banner = status === "active"
+    ? { color: VISITOR_COLOR, label: `${type} – valid until ${until}`, note: "" }
+    : {
+        color: CARD_STATUS_DISPLAY[status].color,
+        label: CARD_STATUS_DISPLAY[status].label,
+        note: status === "not_yet_valid" ? `${type} – valid from ${formatVisitTime(visitor.valid_from, ATTENDANCE_TIMEZONE)}` : `${type} badge`
+      };
+  const meta = [
+    ["Company", badge.company],
+    ["Host", badge.host_name],
+    ["Valid from", formatVisitTime(visitor.valid_from, ATTENDANCE_TIMEZONE)],
+    ["Valid until", until]
+  ]
+    .map(([label, value]) => `<div class="meta"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value || "-")}</div>`)
+    .join("\n      ");
+
+  return `
+  <html>
+  <head>
+    <title>${escapeHtml(badge.name)} - ${escapeHtml(COMPANY_CODE)} ${escapeHtml(badge.visitor_type === "contractor" ? "Contractor" : "Visitor")}</title>
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <style>
+      body { font-family: 'Inter', sans-serif; background: #F1EFEC; color: ${colors.text}; display:flex; align-items:center; justify-content:center; height:100vh; margin:0; padding:16px; }
+      .card { background:${colors.background}; border-radius:16px; box-shadow:0 6px 18px rgba(0,0,0,0.1); padding:24px; width:360px; text-align:center; border-top:6px solid ${VISITOR_COLOR}; }
+      h2{ margin:8px 0 0 0; color:${colors.primary}; font-size:20px; }
+      .id{ font-family:'Roboto Mono', monospace; color:${colors.muted}; font-size:13px; margin:8px 0 12px 0; letter-spacing:0.6px; }
+      .meta { text-align:left; margin:8px 0; font-size:14px; color:#222; }
+      .meta strong { color:#333; }
+      hr{ margin:16px 0; border:none; border-top:1px solid #eee; }
+      .brand{ margin-top:10px; font-weight:bold; color:${colors.primary}; letter-spacing:1px; }
+      .status{ margin:0 -24px 16px -24px; padding:10px; color:#fff; font-weight:bold; font-size:18px; letter-spacing:1px; }
+      .status small{ display:block; font-weight:normal; font-size:12px; letter-spacing:0; margin-top:4px; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <div class="status" style="background:${banner.color};">
+        ${escapeHtml(banner.label)}
+        ${banner.note ? `<small>${escapeHtml(banner.note)}</small>` : ""}
+      </div>
+      <h2>${escapeHtml(badge.name)}</h2>
+      <div class="id">${escapeHtml(badge.visitor_id)}</div>
+
+      ${meta}
+
+      <hr />
+      ${status === "active"
+        ? `<div class="brand">Verified by ${escapeHtml(COMPANY_CODE)}</div>`
+        : `<div class="brand" style="color:${banner.color};">This badge is not valid — do not grant access</div>`}
+    </div>
+  </body>
+  </html>`;
+}
+
+// Public verification page for a visitor badge (always signed; no migration links)
+app.get("/verify/visitor/:visitor_id", async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ visitor_id: req.params.visitor_id }).lean();
+    if (!visitor) return res.status(404).send("<h2>Visitor badge not found</h2>");
+
+    const check = await checkVisitorToken(String(req.query.t || ""), visitor);
+    if (!check.ok) {
+      return res
+        .status(403)
+        .send(`<h2>Invalid verification link</h2><p>This badge could not be verified (${escapeHtml(check.reason)}). Please contact ${escapeHtml(COMPANY_CODE)}.</p>`);
+    }
+    res.send(visitorPageHtml(visitor));
+  } catch (err) {
+    console.error("GET /verify/visitor error:", err);
+    res.status(500).send("<h2>Server error</h2>");
+  }
+});
+
+// ---------- Startup (connect then listen) ----------
+async function start() {
+  try {
+    await mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+    console.log("✅ Connected to MongoDB");
+    await ensureSigningKey();
+    await ensureAdminUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD });
+    setInterval(() => {
+      purgeDeletedEmployees().catch(err => console.error("Trash purge failed:", err));
+    }, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+    setInterval(() => {
+      expireVisitors().catch(err => console.error("Visitor expiry sweep failed:", err));
+    }, VISITOR_SWEEP_MINUTES * 60 * 1000).unref();
+    // once now as well: restarts more often than RENEWAL_CHECK_HOURS must not starve the
+    // reminders, and the repeat window keeps a restart from mailing anyone twice
+    const remindRenewals = () => runRenewalReminders().catch(err => console.error("Renewal reminders failed:", err));
+    remindRenewals();
+    setInterval(remindRenewals, RENEWAL_CHECK_HOURS * 60 * 60 * 1000).unref();
+    startWebhookWorker({
+      intervalMs: WEBHOOK_POLL_SECONDS * 1000,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+      baseMs: WEBHOOK_RETRY_BASE_SECONDS * 1000,
+      maxMs: 6 * 60 * 60 * 1000
+    });
     app.listen(PORT, () => {
       console.log(`✅ ID Card & QR Generator running on http://localhost:${PORT}`);
     });